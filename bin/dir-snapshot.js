@@ -0,0 +1,580 @@
+#!/usr/bin/env node
+// @ts-check
+
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { resolve } from "node:path";
+import {
+    createSnapshot,
+    readSnapshotFooter,
+    compareSnapshots,
+    diagnoseSnapshot,
+    verifyDirectory,
+    generateSnapshotName,
+    Snapshot,
+    formatReport,
+    restoreSnapshot,
+    collectGarbage,
+    findDuplicates,
+} from "../src/index.js";
+
+/** Exit code when the command succeeded and found nothing to report. */
+const EXIT_OK = 0;
+/** Exit code when changes were found, or the snapshot is invalid. */
+const EXIT_CHANGES = 1;
+/** Exit code for usage errors and failures. */
+const EXIT_ERROR = 2;
+
+/** The formats reports can be printed in. */
+const FORMATS = ["text", "markdown", "html", "junit", "json"];
+
+const USAGE = `Usage: dir-snapshot <command> [options]
+
+Commands:
+  create <dir>                 Write a snapshot of a directory
+  compare <old> <new>          Compare two snapshots
+  validate <snapshot>          Check that a snapshot file is well formed
+  verify <snapshot> <dir>      Check a directory against a snapshot
+  info <snapshot>              Print the header and a summary of a snapshot
+  restore <snapshot> <store> <dir>
+                               Rebuild the tree of a snapshot from a blob store
+  gc <store> <snapshot>...     Remove the blobs no listed snapshot refers to
+  duplicates <snapshot>...     List the files with the same content, the largest waste first
+
+Options of create:
+  -o, --output <file>          Snapshot file to write (default: snapshot.<date>.<time>.ndjson[.gz|.br])
+  --exclude <glob>             Gitignore-style pattern of the entries to leave out (repeatable)
+  --include <glob>             Gitignore-style pattern of the files to keep (repeatable)
+  --exclude-path <path>        Path, relative to <dir>, to leave out (repeatable)
+  --ignore-file <name>         Name of the gitignore-like files to honor, e.g. .gitignore (repeatable)
+  --max-depth <n>              Maximum recursion depth
+  --machine-id <id>            Machine id recorded in the header
+  --metadata <key=value>       Field added to the header (repeatable)
+  --relative                   Store paths relative to <dir>
+  --hash-algorithm <name>      Hash algorithm, or "none" (default: sha256)
+  --base <snapshot>            Reuse the hashes of unchanged files from a previous snapshot
+  --concurrency <n>            Number of entries processed at the same time
+  --blob-store <dir>           Copy the content of the files to a content-addressable store
+  --compression <name>         none, gzip or brotli (default: from the extension of --output)
+  --capture-stats              Record permissions, ownership, inode and link count of each entry
+  --tolerant                   Record the entries that cannot be read as errors and go on ("partial" status)
+  --progress                   Print the progress to stderr every second; Ctrl+C stops with an "aborted" footer
+  --sign-key <file>            Sign the snapshot with an Ed25519 private key (PEM) or an HMAC secret
+  --key-id <id>                Key id recorded in the header of a signed snapshot (required with --sign-key)
+  --signature-algorithm <name> ed25519 or hmac-sha256 (default: ed25519)
+
+Options of compare:
+  --root-mapping <old=new>     Treat two root directories as the same tree (repeatable)
+  --skip-identical             Do not compare the entries of directories with the same hash
+
+Options of verify:
+  --strict                     Hash every file
+  --ignore-times               Leave ctime and mtime out of the comparison
+  --fail-fast                  Stop at the first difference
+  --max-depth <n>              Maximum recursion depth
+
+Options of validate and info:
+  --key <id=file>              Check the signatures made with a key id against a public key (PEM)
+                               or HMAC secret file (repeatable)
+  --require-signature          Treat unsigned snapshots, and snapshots signed with an unknown key, as invalid
+
+Options of validate:
+  --strict                     Also check the field types, timestamps and depths of the entries, and
+                               duplicate paths and paths outside the root
+
+Options of gc:
+  --dry-run                    List the blobs that would be removed
+
+Options of duplicates:
+  --directories                Also group the identical directories
+  --min-size <n>               Minimum size in bytes of the files to group (default: 1)
+  --limit <n>                  Maximum number of groups listed
+
+Options of compare and verify:
+  --format <format>            Report format: text, markdown, html, junit or json (default: text)
+  --limit <n>                  Maximum number of changes listed
+  --absolute-paths             Print absolute paths instead of paths relative to the root
+
+Common options:
+  --json                       Print JSON instead of text
+  -h, --help                   Print this help
+
+Exit codes: 0 when nothing changed or the snapshot is valid, 1 when changes were found or
+the snapshot is invalid, 2 on usage errors and failures.`;
+
+/** @satisfies {import("node:util").ParseArgsConfig["options"]} */
+const OPTIONS = /** @type {const} */ ({
+    output: { type: "string", short: "o" },
+    exclude: { type: "string", multiple: true },
+    include: { type: "string", multiple: true },
+    "exclude-path": { type: "string", multiple: true },
+    "ignore-file": { type: "string", multiple: true },
+    "max-depth": { type: "string" },
+    "machine-id": { type: "string" },
+    metadata: { type: "string", multiple: true },
+    relative: { type: "boolean" },
+    "hash-algorithm": { type: "string" },
+    base: { type: "string" },
+    concurrency: { type: "string" },
+    "blob-store": { type: "string" },
+    compression: { type: "string" },
+    "capture-stats": { type: "boolean" },
+    tolerant: { type: "boolean" },
+    progress: { type: "boolean" },
+    "sign-key": { type: "string" },
+    "key-id": { type: "string" },
+    "signature-algorithm": { type: "string" },
+    key: { type: "string", multiple: true },
+    "require-signature": { type: "boolean" },
+    "dry-run": { type: "boolean" },
+    directories: { type: "boolean" },
+    "min-size": { type: "string" },
+    "root-mapping": { type: "string", multiple: true },
+    "skip-identical": { type: "boolean" },
+    strict: { type: "boolean" },
+    "ignore-times": { type: "boolean" },
+    "fail-fast": { type: "boolean" },
+    format: { type: "string" },
+    limit: { type: "string" },
+    "absolute-paths": { type: "boolean" },
+    json: { type: "boolean" },
+    help: { type: "boolean", short: "h" },
+});
+
+/**
+ * The options of the command line, as parsed by `parseArgs`: a string or a list of strings for the options
+ * taking a value, depending on whether they are repeatable, and a boolean for the flags.
+ * @typedef {ReturnType<typeof parseCommandLine>["values"]} CliOptions
+ */
+
+/**
+ * Parses the arguments of the command line.
+ * @param {string[]} argv - The arguments, without the node executable and the script path.
+ */
+function parseCommandLine(argv) {
+    return parseArgs({
+        args: argv,
+        options: OPTIONS,
+        allowPositionals: true,
+    });
+}
+
+/**
+ * Runs the command line tool.
+ * @param {string[]} argv - The arguments, without the node executable and the script path.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv) {
+    const { values, positionals } = parseCommandLine(argv);
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? EXIT_OK : EXIT_ERROR;
+    }
+
+    switch (command) {
+        case "create":
+            return create(requireArgs(args, ["dir"]), values);
+        case "compare":
+            return compare(requireArgs(args, ["old", "new"]), values);
+        case "validate":
+            return validate(requireArgs(args, ["snapshot"]), values);
+        case "verify":
+            return verify(requireArgs(args, ["snapshot", "dir"]), values);
+        case "info":
+            return info(requireArgs(args, ["snapshot"]), values);
+        case "restore":
+            return restore(requireArgs(args, ["snapshot", "store", "dir"]), values);
+        case "gc":
+            if (args.length < 2) throw new UsageError("Expected <store> <snapshot>...");
+            return gc(args, values);
+        case "duplicates":
+            if (args.length < 1) throw new UsageError("Expected <snapshot>...");
+            return duplicates(args, values);
+        default:
+            throw new UsageError(`Unknown command: ${command}`);
+    }
+}
+
+/**
+ * Writes a snapshot of a directory.
+ * @param {string[]} args - The directory.
+ * @param {CliOptions} values - The options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function create([dirPath], values) {
+    const compression = /** @type {"none"|"gzip"|"brotli"|undefined} */ (values.compression);
+    const outputFile = /** @type {string} */ (
+        values.output ?? generateSnapshotName("snapshot", "ndjson", compression)
+    );
+
+    // an interrupted snapshot still gets its footer, with the status "aborted"
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    process.once("SIGINT", abort);
+
+    const success = await createSnapshot({
+        outputFile,
+        dirPath,
+        excludePaths: list(values["exclude-path"]),
+        include: list(values.include),
+        exclude: list(values.exclude),
+        ignoreFiles: list(values["ignore-file"]),
+        maxDepth: toNumber(values["max-depth"], "--max-depth", Infinity),
+        machineId: /** @type {string|undefined} */ (values["machine-id"]),
+        metadata: toPairs(list(values.metadata), "--metadata"),
+        relativePaths: Boolean(values.relative),
+        hashAlgorithm: /** @type {string|undefined} */ (values["hash-algorithm"]),
+        baseSnapshot: /** @type {string|undefined} */ (values.base),
+        concurrency: toNumber(values.concurrency, "--concurrency", 1),
+        blobStore: /** @type {string|undefined} */ (values["blob-store"]),
+        signing: await readSigning(values),
+        compression,
+        captureStats: Boolean(values["capture-stats"]),
+        tolerant: Boolean(values.tolerant),
+        onProgress: values.progress ? printProgress : undefined,
+        signal: controller.signal,
+    }).finally(() => process.off("SIGINT", abort));
+
+    const { message } = success ? { message: undefined } : await readSnapshotFooter(outputFile);
+    if (values.json) {
+        print({ snapshot: resolve(outputFile), success, message });
+    } else if (controller.signal.aborted) {
+        console.log(`Snapshot aborted, see ${outputFile}`);
+    } else {
+        console.log(success ? `Snapshot written to ${outputFile}` : `Snapshot failed: ${message}`);
+    }
+
+    return success ? EXIT_OK : EXIT_ERROR;
+}
+
+/**
+ * Compares two snapshots.
+ * @param {string[]} args - The older and the newer snapshot.
+ * @param {CliOptions} values - The options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function compare([oldPath, newPath], values) {
+    const report = await compareSnapshots(oldPath, newPath, {
+        rootMapping: toPairs(list(values["root-mapping"]), "--root-mapping"),
+        skipIdenticalSubtrees: Boolean(values["skip-identical"]),
+    });
+    return printReport(report, values);
+}
+
+/**
+ * Validates a snapshot file.
+ * @param {string[]} args - The snapshot.
+ * @param {CliOptions} values - The options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function validate([snapshotPath], values) {
+    const diagnostics = await diagnoseSnapshot(snapshotPath, {
+        ...(await readKeys(values)),
+        strict: Boolean(values.strict),
+    });
+    const valid = !diagnostics.some((diagnostic) => diagnostic.severity === "error");
+
+    if (values.json) {
+        print({ snapshot: resolve(snapshotPath), valid, diagnostics });
+    } else {
+        for (const { line, severity, code, message } of diagnostics) {
+            console.log(`${snapshotPath}:${line}: ${severity} ${code}: ${message}`);
+        }
+        console.log(valid ? `${snapshotPath} is valid` : `${snapshotPath} is invalid`);
+    }
+
+    return valid ? EXIT_OK : EXIT_CHANGES;
+}
+
+/**
+ * Checks a directory against a snapshot.
+ * @param {string[]} args - The snapshot and the directory.
+ * @param {CliOptions} values - The options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function verify([snapshotPath, dirPath], values) {
+    const report = await verifyDirectory(snapshotPath, dirPath, {
+        strict: Boolean(values.strict),
+        ignoreTimes: Boolean(values["ignore-times"]),
+        stopOnFirstMismatch: Boolean(values["fail-fast"]),
+        maxDepth: toNumber(values["max-depth"], "--max-depth", Infinity),
+    });
+    return printReport(report, values);
+}
+
+/**
+ * Prints the header and a summary of the entries of a snapshot.
+ * @param {string[]} args - The snapshot.
+ * @param {CliOptions} values - The options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function info([snapshotPath], values) {
+    const snapshot = new Snapshot(snapshotPath, await readKeys(values));
+    if (!(await snapshot.open())) {
+        throw new Error(`Snapshot file is invalid: ${snapshotPath}`);
+    }
+
+    /** @type {Record<string, number>} */
+    const types = {};
+    let totalSize = 0;
+    for (const entry of snapshot.entries.values()) {
+        types[entry.type] = (types[entry.type] ?? 0) + 1;
+        totalSize += entry.size ?? 0;
+    }
+
+    const summary = {
+        header: snapshot.header,
+        footer: snapshot.footer,
+        entries: snapshot.entries.size,
+        types,
+        totalSize,
+    };
+
+    if (values.json) {
+        print(summary);
+        return EXIT_OK;
+    }
+
+    const { header } = snapshot;
+    console.log(`Snapshot:       ${snapshotPath}`);
+    console.log(`Root path:      ${header.rootPath} (${header.pathMode} paths)`);
+    console.log(`Created at:     ${header.createdAt}`);
+    console.log(`Machine id:     ${header.machineId}`);
+    console.log(`Version:        ${header.version}`);
+    console.log(`Hash algorithm: ${header.hashAlgorithm}`);
+    console.log(`Status:         ${snapshot.footer.status}`);
+    if (snapshot.footer.status === "partial") {
+        console.log(`Unreadable:     ${snapshot.footer.errors} entries`);
+    }
+    if (header.keyId !== undefined) {
+        console.log(`Signed with:    ${header.keyId} (${header.signatureAlgorithm})`);
+    }
+    if ("rootHash" in snapshot.footer) {
+        console.log(`Root hash:      ${snapshot.footer.rootHash}`);
+    }
+    console.log(`Entries:        ${summary.entries}`);
+    for (const [type, count] of Object.entries(types)) {
+        console.log(`  ${type}: ${count}`);
+    }
+    console.log(`Total size:     ${totalSize} bytes`);
+
+    return EXIT_OK;
+}
+
+/**
+ * Rebuilds the tree of a snapshot from a blob store.
+ * @param {string[]} args - The snapshot, the store and the target directory.
+ * @param {CliOptions} values - The options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function restore([snapshotPath, store, targetDir], values) {
+    const { restored, skipped } = await restoreSnapshot(snapshotPath, store, targetDir);
+
+    if (values.json) {
+        print({ restored, skipped: skipped.map((entry) => entry.relativePath) });
+    } else {
+        console.log(`Restored ${restored} entries to ${targetDir}`);
+        for (const entry of skipped) {
+            console.log(`Skipped ${entry.type}: ${entry.relativePath}`);
+        }
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Removes the blobs of a store that none of the given snapshots refers to.
+ * @param {string[]} args - The store and the snapshots to keep.
+ * @param {CliOptions} values - The options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function gc([store, ...snapshotPaths], values) {
+    const dryRun = Boolean(values["dry-run"]);
+    const result = await collectGarbage(store, snapshotPaths, { dryRun });
+
+    if (values.json) {
+        print(result);
+    } else {
+        console.log(
+            `${dryRun ? "Would remove" : "Removed"} ${result.removed.length} blob(s), ` +
+                `${result.freedBytes} bytes, kept ${result.kept}`
+        );
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Lists the files, and optionally the directories, with the same content.
+ * @param {string[]} snapshotPaths - The snapshots to search.
+ * @param {CliOptions} values - The options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function duplicates(snapshotPaths, values) {
+    const report = await findDuplicates(snapshotPaths, {
+        directories: Boolean(values.directories),
+        minSize: toNumber(values["min-size"], "--min-size", 1),
+    });
+
+    console.log(
+        report.format(values.json ? "json" : "text", {
+            limit: toNumber(values.limit, "--limit", Infinity),
+        })
+    );
+
+    return EXIT_OK;
+}
+
+/**
+ * Prints a comparison report.
+ * @param {import("../src/report.js").Report} report - The report.
+ * @param {CliOptions} values - The options.
+ * @returns {number} The exit code: whether changes were found.
+ */
+function printReport(report, values) {
+    const changes = report.countChanges();
+
+    const format = values.json ? "json" : /** @type {string} */ (values.format ?? "text");
+    if (!FORMATS.includes(format)) {
+        throw new UsageError(`--format expects one of ${FORMATS.join(", ")}, got ${format}`);
+    }
+
+    console.log(
+        formatReport(report, /** @type {any} */ (format), {
+            limit: toNumber(values.limit, "--limit", Infinity),
+            paths: values["absolute-paths"] ? "absolute" : "relative",
+            color: Boolean(process.stdout.isTTY) && !process.env.NO_COLOR,
+        })
+    );
+
+    return changes ? EXIT_CHANGES : EXIT_OK;
+}
+
+/**
+ * Prints the progress of a snapshot to stderr.
+ * @param {import("../src/progress.js").Progress} progress - The progress.
+ */
+function printProgress(progress) {
+    const { directories, files, bytes, currentPath, done } = progress;
+    console.error(
+        `${done ? "Done" : "Progress"}: ${directories} directories, ${files} files, ${bytes} bytes hashed` +
+            (done ? "" : `, at ${currentPath}`)
+    );
+}
+
+/**
+ * Prints a value as indented JSON.
+ * @param {any} value - The value.
+ */
+function print(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Error in the command line, reported with a pointer to the usage.
+ */
+class UsageError extends Error {}
+
+/**
+ * Checks that a command got its positional arguments.
+ * @param {string[]} args - The positional arguments of the command.
+ * @param {string[]} names - The names of the expected arguments.
+ * @returns {string[]} The arguments.
+ */
+function requireArgs(args, names) {
+    if (args.length !== names.length) {
+        throw new UsageError(`Expected ${names.map((name) => `<${name}>`).join(" ")}`);
+    }
+    return args;
+}
+
+/**
+ * Returns the values of a repeatable option.
+ * @param {string|boolean|string[]|undefined} value - The option.
+ * @returns {string[]} The values.
+ */
+function list(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Parses a numeric option.
+ * @param {string|boolean|string[]|undefined} value - The option.
+ * @param {string} name - The name of the option, for the error message.
+ * @param {number} defaultValue - The value when the option is missing.
+ * @returns {number} The number.
+ */
+function toNumber(value, name, defaultValue) {
+    if (value === undefined) return defaultValue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new UsageError(`${name} expects a non-negative integer, got ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Parses `key=value` options into an object.
+ * @param {string[]} values - The options.
+ * @param {string} name - The name of the option, for the error message.
+ * @returns {Record<string, string>} The pairs.
+ */
+function toPairs(values, name) {
+    /** @type {Record<string, string>} */
+    const pairs = {};
+    for (const value of values) {
+        const index = value.indexOf("=");
+        if (index < 1) {
+            throw new UsageError(`${name} expects key=value, got ${value}`);
+        }
+        pairs[value.slice(0, index)] = value.slice(index + 1);
+    }
+    return pairs;
+}
+
+/**
+ * Reads the signing key given on the command line.
+ * @param {CliOptions} values - The options.
+ * @returns {Promise<import("../src/integrity.js").SigningOptions|undefined>} The signing options, or undefined
+ * if the snapshot is not signed.
+ * @throws {UsageError} If the key is given without a key id.
+ */
+async function readSigning(values) {
+    const keyFile = /** @type {string|undefined} */ (values["sign-key"]);
+    if (!keyFile) return undefined;
+
+    const keyId = /** @type {string|undefined} */ (values["key-id"]);
+    if (!keyId) throw new UsageError("--sign-key requires --key-id");
+
+    const algorithm = /** @type {"ed25519"|"hmac-sha256"} */ (values["signature-algorithm"] ?? "ed25519");
+    return { keyId, algorithm, key: await readFile(keyFile) };
+}
+
+/**
+ * Reads the keys signatures are checked with.
+ * @param {CliOptions} values - The options.
+ * @returns {Promise<{keys: Record<string, Buffer>, requireSignature: boolean}>} The validation options.
+ */
+async function readKeys(values) {
+    /** @type {Record<string, Buffer>} */
+    const keys = {};
+    for (const [keyId, keyFile] of Object.entries(toPairs(list(values.key), "--key"))) {
+        keys[keyId] = await readFile(keyFile);
+    }
+    return { keys, requireSignature: Boolean(values["require-signature"]) };
+}
+
+main(process.argv.slice(2)).then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (error) => {
+        console.error(error.message);
+        if (error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS")) {
+            console.error("Run dir-snapshot --help for usage.");
+        }
+        process.exitCode = EXIT_ERROR;
+    }
+);
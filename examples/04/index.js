@@ -0,0 +1,82 @@
+// @ts-check
+
+// Benchmark: snapshots a tree of a few thousand files, generated in a temporary directory, sequentially,
+// with a higher concurrency and with a pool of hashing worker threads,
+// reports the speedup of each run over the sequential one
+// and checks that all the runs produce the same entries.
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createSnapshot } from "../../src/index.js";
+
+const FOLDERS = 40;
+const FILES_PER_FOLDER = 100;
+const FILE_SIZE = 64 * 1024;
+
+// 1. Generate the test tree
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "dir-snapshot-bench-"));
+const testDir = path.join(workDir, "bench-structure");
+
+console.log(`Generating ${FOLDERS * FILES_PER_FOLDER} files...`);
+for (let i = 0; i < FOLDERS; i++) {
+    const folder = path.join(testDir, `folder-${i}`);
+    fs.mkdirSync(folder, { recursive: true });
+    for (let j = 0; j < FILES_PER_FOLDER; j++) {
+        const content = Buffer.alloc(FILE_SIZE, `${i}:${j}`);
+        fs.writeFileSync(path.join(folder, `file-${j}.bin`), content);
+    }
+}
+
+// 2. Snapshot it with different settings
+const workers = Math.max(2, os.availableParallelism());
+const runs = [
+    { name: "sequential", options: {} },
+    { name: "concurrency 16", options: { concurrency: 16 } },
+    { name: `concurrency 16, ${workers} hash workers`, options: { concurrency: 16, hashWorkers: workers } },
+];
+
+try {
+    /** @type {string[][]} */
+    const outputs = [];
+    /** @type {number[]} */
+    const timings = [];
+
+    for (const run of runs) {
+        const outputFile = path.join(workDir, `bench-${outputs.length}.ndjson`);
+        const start = performance.now();
+
+        const success = await createSnapshot({
+            outputFile,
+            dirPath: testDir,
+            relativePaths: true,
+            ...run.options,
+        });
+        assert.ok(success, `${run.name} failed`);
+
+        const elapsed = performance.now() - start;
+        timings.push(elapsed);
+        const speedup = timings[0] / elapsed;
+        console.log(`${run.name.padEnd(40)} ${elapsed.toFixed(0).padStart(6)} ms  ${speedup.toFixed(2).padStart(5)}x`);
+
+        // the header holds the creation date and the footer its digest, compare the entries
+        const lines = fs.readFileSync(outputFile, "utf-8").trimEnd().split("\n");
+        outputs.push(lines.slice(1, -1));
+    }
+
+    // 3. Check that the output is deterministic
+    for (let i = 1; i < outputs.length; i++) {
+        assert.deepEqual(outputs[i], outputs[0], `${runs[i].name} differs from ${runs[0].name}`);
+    }
+    assert.equal(outputs[0].length, FOLDERS * (FILES_PER_FOLDER + 1));
+
+    const best = Math.min(...timings.slice(1));
+    console.log(`Identical output, best speedup ${(timings[0] / best).toFixed(2)}x`);
+} catch (error) {
+    // a failed check fails the run, so the benchmark can gate a change
+    console.error(error instanceof Error ? error.message : error);
+    process.exitCode = 1;
+} finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+}
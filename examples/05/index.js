@@ -0,0 +1,70 @@
+// @ts-check
+
+// Regression check: watching the current directory reports its changes.
+// The default snapshotDir is ".", which must not be left out of the watched tree
+// when no periodic snapshot is written there. Rescans in quick succession are compared
+// like any others.
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { watchDirectory } from "../../src/index.js";
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), "dir-snapshot-watch-cwd-"));
+fs.writeFileSync(path.join(testDir, "a.txt"), "a");
+
+const cwd = process.cwd();
+process.chdir(testDir);
+
+const watcher = await watchDirectory(".", { debounce: 50, rescanInterval: 0 });
+try {
+    /** @type {import("../../src/index.js").Report[]} */
+    const changes = [];
+    watcher.on("change", (report) => changes.push(report));
+
+    fs.writeFileSync(path.join(testDir, "b.txt"), "b");
+    const report = await watcher.rescan();
+    assert.deepEqual(report.added.map((entry) => entry.relativePath), ["b.txt"]);
+    assert.ok(changes.length > 0, "a change event is emitted");
+
+    // rescans in quick succession start within the same tick of a coarse clock, as on some platforms, their
+    // scans must still be comparable
+    const RealDate = Date;
+    const tick = () => Math.floor(RealDate.now() / 16) * 16;
+    class CoarseDate extends RealDate {
+        /** @param {[]|[number|string|Date]} args */
+        constructor(...args) {
+            super(args.length ? args[0] : tick());
+        }
+        static now() {
+            return tick();
+        }
+    }
+    globalThis.Date = /** @type {DateConstructor} */ (/** @type {unknown} */ (CoarseDate));
+    try {
+        for (let i = 0; i < 5; i++) {
+            const rescan = await watcher.rescan();
+            assert.equal(rescan.countChanges(), 0);
+        }
+        fs.writeFileSync(path.join(testDir, "a.txt"), "aa");
+        const [first, second] = await Promise.all([watcher.rescan(), watcher.rescan()]);
+        assert.deepEqual(first.contentChanged.map(({ newValue }) => newValue.relativePath), ["a.txt"]);
+        assert.equal(second.countChanges(), 0);
+    } finally {
+        globalThis.Date = RealDate;
+    }
+
+    const outputFile = path.join(os.tmpdir(), `${path.basename(testDir)}.ndjson`);
+    await watcher.writeSnapshot(outputFile);
+    const lines = fs.readFileSync(outputFile, "utf-8").split("\n");
+    assert.equal(JSON.parse(lines[0]).excludePaths, undefined);
+    assert.equal(lines.length - 2, 2, "the snapshot lists a.txt and b.txt");
+    fs.rmSync(outputFile);
+
+    console.log("Watching the current directory reports its changes.");
+} finally {
+    await watcher.close();
+    process.chdir(cwd);
+    fs.rmSync(testDir, { recursive: true, force: true });
+}
@@ -0,0 +1,300 @@
+// @ts-check
+
+import { createHash, randomBytes } from "node:crypto";
+import { createReadStream, createWriteStream } from "node:fs";
+import {
+    access,
+    lutimes,
+    mkdir,
+    readdir,
+    rename,
+    rm,
+    stat,
+    symlink,
+    unlink,
+    utimes,
+} from "node:fs/promises";
+import { isAbsolute, join, relative, resolve, sep } from "node:path";
+import { pipeline } from "node:stream/promises";
+import { FileEntry } from "./fileentry.js";
+import { Snapshot } from "./snapshot.js";
+import { readSnapshotEntries, readSnapshotHeader } from "./snapshot_reader.js";
+import { validateSnapshot } from "./snapshot_validator.js";
+
+/** Suffix of the blobs being written, renamed to their hash once complete. */
+const TEMP_SUFFIX = ".tmp";
+
+/**
+ * Returns the path of a blob in a content-addressable store: `<store>/<first two characters of the hash>/<hash>`.
+ * @param {string} store - The directory of the store.
+ * @param {string} hash - The hash of the content.
+ * @returns {string} The path of the blob.
+ */
+export function blobPath(store, hash) {
+    return join(store, hash.slice(0, 2), hash);
+}
+
+/**
+ * Copies a file into a content-addressable store, unless a blob with its hash is already there.
+ * The file is hashed again while it is copied, and the copy is only kept if it still has the expected hash.
+ *
+ * @param {string} store - The directory of the store.
+ * @param {string} filePath - The file to store.
+ * @param {string} hash - The hash of the file, as recorded in the snapshot.
+ * @param {string} algorithm - The `node:crypto` algorithm of the hash.
+ * @returns {Promise<boolean>} A promise that resolves with true if the blob was added, false if it was already stored.
+ * @throws {Error} If the file changed since it was hashed.
+ */
+export async function storeBlob(store, filePath, hash, algorithm) {
+    const target = blobPath(store, hash);
+    if (await exists(target)) return false;
+
+    await mkdir(join(store, hash.slice(0, 2)), { recursive: true });
+    const temp = `${target}.${randomBytes(6).toString("hex")}${TEMP_SUFFIX}`;
+
+    try {
+        const copied = await copyWithHash(filePath, temp, algorithm);
+        if (copied !== hash) {
+            throw new Error(`File changed while it was being stored: ${filePath}`);
+        }
+        // the rename is atomic, a blob is never seen half written
+        await rename(temp, target);
+    } catch (error) {
+        await rm(temp, { force: true });
+        throw error;
+    }
+
+    return true;
+}
+
+/**
+ * Rebuilds the tree recorded in a snapshot from the blobs of a content-addressable store.
+ *
+ * Directories, regular files and symbolic links are recreated, and their mtimes restored where the file
+ * system allows it. Fifos, sockets and devices cannot be recreated and are returned as skipped, as are the entries
+ * a partial snapshot could not read. Every blob
+ * is hashed while it is copied, so a corrupt store is detected. The target directory must be empty or not exist.
+ *
+ * Nothing is written outside the target directory: an entry whose path leads out of it, or lies under a symbolic
+ * link of the snapshot, is refused before anything is restored, and symbolic links are created last, so no entry
+ * is written through one.
+ *
+ * @param {string} snapshotPath - The path to the snapshot file of the tree to rebuild.
+ * @param {string} store - The directory of the store the blobs were copied to by `createSnapshot`.
+ * @param {string} targetDir - The directory to rebuild the tree in.
+ * @returns {Promise<{restored: number, skipped: FileEntry[]}>} A promise that resolves with the number of
+ * restored entries and the entries that could not be restored.
+ * @throws {Error} If the target directory is not empty, an entry lies outside of it, or a blob is missing or corrupt.
+ */
+export async function restoreSnapshot(snapshotPath, store, targetDir) {
+    const snapshot = new Snapshot(snapshotPath, { rootPath: targetDir });
+    await snapshot.open();
+
+    const algorithm = snapshot.header.hashAlgorithm;
+    if (algorithm === "none") {
+        throw new Error("Snapshot was created without hashes and cannot be restored.");
+    }
+
+    const targets = resolveTargets(snapshot.entries.values(), targetDir);
+
+    await mkdir(targetDir, { recursive: true });
+    if ((await readdir(targetDir)).length) {
+        throw new Error(`Target directory is not empty: ${targetDir}`);
+    }
+
+    let restored = 0;
+    /** @type {FileEntry[]} */
+    const skipped = [];
+    /** @type {FileEntry[]} */
+    const directories = [];
+    /** @type {FileEntry[]} */
+    const symlinks = [];
+
+    // entries are stored with each directory before its contents
+    for (const entry of snapshot.entries.values()) {
+        const target = /** @type {string} */ (targets.get(entry));
+
+        if (entry.error) {
+            skipped.push(entry);
+            continue;
+        }
+
+        switch (entry.type) {
+            case "directory":
+                await mkdir(target, { recursive: true });
+                directories.push(entry);
+                break;
+            case "file": {
+                if (!/^[0-9a-f]+$/i.test(entry.hash ?? "")) {
+                    throw new Error(`Invalid hash for ${entry.relativePath}: ${entry.hash}`);
+                }
+                const source = blobPath(store, /** @type {string} */ (entry.hash));
+                if (!(await exists(source))) {
+                    throw new Error(`Missing blob for ${entry.relativePath}: ${entry.hash}`);
+                }
+                if ((await copyWithHash(source, target, algorithm)) !== entry.hash) {
+                    throw new Error(`Corrupt blob for ${entry.relativePath}: ${entry.hash}`);
+                }
+                await setTimes(target, entry, utimes);
+                break;
+            }
+            case "symlink":
+                // created last, so that nothing is written through them
+                symlinks.push(entry);
+                continue;
+            default:
+                skipped.push(entry);
+                continue;
+        }
+
+        restored++;
+    }
+
+    for (const entry of symlinks) {
+        const target = /** @type {string} */ (targets.get(entry));
+        await symlink(/** @type {string} */ (entry.target), target);
+        await setTimes(target, entry, lutimes);
+        restored++;
+    }
+
+    // directories last and deepest first, as creating their contents changed their mtimes
+    for (const entry of directories.reverse()) {
+        await setTimes(/** @type {string} */ (targets.get(entry)), entry, utimes);
+    }
+
+    return { restored, skipped };
+}
+
+/**
+ * Resolves where each entry of a snapshot is restored, checking that it lies strictly inside the target directory
+ * and not under a symbolic link of the snapshot, which the entry would be written through.
+ * @param {Iterable<FileEntry>} entries - The entries of the snapshot.
+ * @param {string} targetDir - The directory the tree is rebuilt in.
+ * @returns {Map<FileEntry, string>} The absolute path of each entry.
+ * @throws {Error} If an entry lies outside the target directory or under a symbolic link.
+ */
+function resolveTargets(entries, targetDir) {
+    const root = resolve(targetDir);
+    /** @type {Map<FileEntry, string>} */
+    const targets = new Map();
+    /** @type {Set<string>} */
+    const symlinks = new Set();
+
+    for (const entry of entries) {
+        const target = resolve(root, entry.relativePath);
+        const rel = relative(root, target);
+        if (rel === "" || rel === ".." || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+            throw new Error(`Entry is outside the target directory: ${entry.relativePath}`);
+        }
+        targets.set(entry, target);
+        if (entry.type === "symlink" && !entry.error) symlinks.add(target);
+    }
+
+    for (const [entry, target] of targets) {
+        for (let parent = resolve(target, ".."); parent !== root; parent = resolve(parent, "..")) {
+            if (symlinks.has(parent)) {
+                throw new Error(`Entry is under the symbolic link ${relative(root, parent)}: ${entry.relativePath}`);
+            }
+        }
+    }
+
+    return targets;
+}
+
+/**
+ * Removes the blobs of a content-addressable store that no retained snapshot refers to,
+ * and the leftovers of interrupted writes. It must not run while a snapshot is being written to the store.
+ *
+ * @param {string} store - The directory of the store.
+ * @param {string[]} snapshotPaths - The snapshots whose blobs must be kept.
+ * @param {{dryRun?: boolean}} [options] - With `dryRun`, the blobs are listed but not removed.
+ * @returns {Promise<{removed: string[], freedBytes: number, kept: number}>} A promise that resolves with the
+ * hashes of the removed blobs, the number of bytes freed and the number of blobs kept.
+ * @throws {Error} If a retained snapshot is invalid, as its blobs could not be told apart.
+ */
+export async function collectGarbage(store, snapshotPaths, options = {}) {
+    const { dryRun = false } = options;
+
+    /** @type {Set<string>} */
+    const referenced = new Set();
+    for (const snapshotPath of snapshotPaths) {
+        if (!(await validateSnapshot(snapshotPath))) {
+            throw new Error(`Snapshot file is invalid: ${snapshotPath}`);
+        }
+        const header = await readSnapshotHeader(snapshotPath);
+        if (header.hashAlgorithm === "none") continue;
+
+        for await (const entry of readSnapshotEntries(snapshotPath)) {
+            if (entry.type === "file" && entry.hash) referenced.add(entry.hash);
+        }
+    }
+
+    /** @type {string[]} */
+    const removed = [];
+    let freedBytes = 0;
+    let kept = 0;
+
+    for (const prefix of await readdir(store)) {
+        const directory = join(store, prefix);
+        if (!(await stat(directory)).isDirectory()) continue;
+
+        for (const name of await readdir(directory)) {
+            if (referenced.has(name)) {
+                kept++;
+                continue;
+            }
+
+            const path = join(directory, name);
+            freedBytes += (await stat(path)).size;
+            if (!name.endsWith(TEMP_SUFFIX)) removed.push(name);
+            if (!dryRun) await unlink(path);
+        }
+    }
+
+    return { removed, freedBytes, kept };
+}
+
+/**
+ * Copies a file, hashing its content on the way.
+ * @param {string} source - The file to copy.
+ * @param {string} target - The copy to create.
+ * @param {string} algorithm - The `node:crypto` hash algorithm.
+ * @returns {Promise<string>} A promise that resolves with the hexadecimal hash of the copied content.
+ */
+async function copyWithHash(source, target, algorithm) {
+    const hash = createHash(algorithm);
+    const input = createReadStream(source);
+    input.on("data", (chunk) => hash.update(chunk));
+    await pipeline(input, createWriteStream(target, { flags: "wx" }));
+    return hash.digest("hex");
+}
+
+/**
+ * Sets the access and modification times of a restored entry to its recorded mtime.
+ * Failures are ignored, some file systems do not support setting the times of links.
+ * @param {string} path - The restored entry.
+ * @param {FileEntry} entry - The entry of the snapshot.
+ * @param {typeof utimes} setter - `utimes`, or `lutimes` for symbolic links.
+ */
+async function setTimes(path, entry, setter) {
+    const mtime = new Date(entry.mtime);
+    try {
+        await setter(path, mtime, mtime);
+    } catch {
+        // the times are restored where possible
+    }
+}
+
+/**
+ * Checks whether a path exists.
+ * @param {string} path - The path.
+ * @returns {Promise<boolean>} True if it exists.
+ */
+async function exists(path) {
+    try {
+        await access(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
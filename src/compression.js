@@ -0,0 +1,93 @@
+// @ts-check
+
+import { closeSync, createReadStream, createWriteStream, openSync, readSync } from "node:fs";
+import { pipeline } from "node:stream";
+import { pipeline as pipelineAsync } from "node:stream/promises";
+import { createBrotliCompress, createBrotliDecompress, createGunzip, createGzip } from "node:zlib";
+
+/**
+ * How a snapshot file is compressed.
+ * @typedef {"none"|"gzip"|"brotli"} Compression
+ */
+
+/** The compressions snapshot files can be written with. */
+export const COMPRESSIONS = ["none", "gzip", "brotli"];
+
+/** The extension appended to the name of a compressed snapshot file, by compression. */
+export const COMPRESSION_EXTENSIONS = { none: "", gzip: ".gz", brotli: ".br" };
+
+/**
+ * Returns the compression implied by the extension of a file name: ".gz" for gzip, ".br" for brotli.
+ * @param {string} filePath - The path of the file.
+ * @returns {Compression} The compression.
+ */
+export function compressionOf(filePath) {
+    if (filePath.endsWith(".gz")) return "gzip";
+    if (filePath.endsWith(".br")) return "brotli";
+    return "none";
+}
+
+/**
+ * Detects how a snapshot file is compressed from its first bytes, whatever its name.
+ *
+ * Gzip files start with the bytes 1f 8b, and uncompressed snapshots with the "{" of their header. Brotli
+ * streams have no magic number, so any other non-empty file is taken as brotli.
+ *
+ * @param {string} filePath - The path of the file.
+ * @returns {Compression} The compression.
+ */
+export function detectCompression(filePath) {
+    const bytes = Buffer.alloc(2);
+    const fd = openSync(filePath, "r");
+    let read;
+    try {
+        read = readSync(fd, bytes, 0, 2, 0);
+    } finally {
+        closeSync(fd);
+    }
+
+    if (read === 0 || bytes[0] === 0x7b) return "none";
+    if (read === 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) return "gzip";
+    return "brotli";
+}
+
+/**
+ * Opens a snapshot file for reading, decompressing it if needed, see `detectCompression`.
+ * Read and decompression errors are emitted by the returned stream.
+ * @param {string} filePath - The path of the file.
+ * @returns {import("node:stream").Readable} The uncompressed content, as UTF-8 text.
+ */
+export function openSnapshotStream(filePath) {
+    const compression = detectCompression(filePath);
+    if (compression === "none") {
+        return createReadStream(filePath, { encoding: "utf-8" });
+    }
+
+    const decompress = compression === "gzip" ? createGunzip() : createBrotliDecompress();
+    // the error destroys the decompression stream, which emits it to the reader
+    pipeline(createReadStream(filePath), decompress, () => {});
+    return decompress.setEncoding("utf-8");
+}
+
+/**
+ * Writes a compressed copy of a file.
+ * @param {string} source - The uncompressed file.
+ * @param {string} target - The compressed file to write.
+ * @param {Compression} compression - The compression, other than "none".
+ * @returns {Promise<void>} A promise that resolves once the copy is written.
+ */
+export async function compressFile(source, target, compression) {
+    const compress = compression === "gzip" ? createGzip() : createBrotliCompress();
+    await pipelineAsync(createReadStream(source), compress, createWriteStream(target));
+}
+
+/**
+ * Checks that a compression is supported.
+ * @param {string} compression - The compression.
+ * @throws {Error} If it is not one of `COMPRESSIONS`.
+ */
+export function checkCompression(compression) {
+    if (!COMPRESSIONS.includes(compression)) {
+        throw new Error(`Unsupported compression: ${compression}`);
+    }
+}
@@ -0,0 +1,215 @@
+// @ts-check
+
+import { FileEntry } from "./fileentry.js";
+import { Report } from "./report.js";
+import { classifyChange } from "./snapshot_comparator.js";
+import { comparePaths } from "./snapshot_sorter.js";
+
+/**
+ * Pairs the deleted and added directories of a report whose subtrees are similar, and reports them as moved.
+ *
+ * The similarity of a deleted and an added directory is the number of entries found at the same place in both
+ * subtrees with the same content (same hash for files, same target for symlinks, same type otherwise), divided
+ * by the number of entries of the larger subtree. A pair is reported in `movedDirectories` if its similarity is
+ * at least `threshold`: 1 only pairs identical subtrees, a value above 1 disables the detection. Each deleted
+ * directory is paired with the most similar added directory, outermost directories first; ties go to the
+ * directory with the same name.
+ *
+ * The entries of a moved subtree are removed from `deleted` and `added`. Those found at the same place in both
+ * subtrees are only reported if they changed, under `contentChanged`, `metaDataChanged`, `retargeted`,
+ * `permissionsChanged` or `ownershipChanged`; the
+ * others stay in `deleted` or `added`. Empty directories are never paired, having no content to compare.
+ *
+ * @param {Report} summary - The report, whose `deleted`, `added` and change lists are updated in place.
+ * @param {number} [threshold=0.5] - The minimum similarity of a moved directory, between 0 and 1.
+ */
+export function detectDirectoryMoves(summary, threshold = 0.5) {
+    const deleted = sortByPath(summary.deleted);
+    const added = sortByPath(summary.added);
+
+    /** @type {Map<string, FileEntry>} */
+    const addedByPath = new Map(added.map((entry) => [entry.relativePath, entry]));
+    /** @type {Map<string, number>} */
+    const addedIndex = new Map(added.map((entry, index) => [entry.relativePath, index]));
+
+    const addedBySuffix = indexBySuffix(added, addedByPath);
+
+    /** @type {Set<FileEntry>} */
+    const consumed = new Set();
+
+    for (let i = 0; i < deleted.length; i++) {
+        const directory = deleted[i];
+        if (directory.type !== "directory" || consumed.has(directory)) continue;
+
+        const subtree = descendants(deleted, i);
+        if (subtree.length === 0) continue;
+
+        const match = findMostSimilar(directory, subtree, added, addedByPath, addedIndex, addedBySuffix, consumed);
+        if (!match || match.similarity < threshold) continue;
+
+        consumed.add(directory);
+        consumed.add(match.directory);
+
+        for (const old_entry of subtree) {
+            const inner = old_entry.relativePath.slice(directory.relativePath.length + 1);
+            const entry = addedByPath.get(`${match.directory.relativePath}/${inner}`);
+            if (!entry || consumed.has(entry)) continue;
+
+            const change = classifyChange(old_entry, entry, true);
+            if (change === "replaced") continue;
+
+            consumed.add(old_entry);
+            consumed.add(entry);
+            if (change) {
+                summary[change].push({
+                    oldValue: old_entry,
+                    newValue: entry,
+                });
+            }
+        }
+
+        summary.movedDirectories.push({
+            src: directory,
+            dst: match.directory,
+            similarity: match.similarity,
+        });
+    }
+
+    summary.deleted = summary.deleted.filter((entry) => !consumed.has(entry));
+    summary.added = summary.added.filter((entry) => !consumed.has(entry));
+}
+
+/**
+ * Finds the added directory whose subtree is the most similar to the subtree of a deleted directory.
+ * Only the added directories holding at least one file or symlink of the deleted subtree, at the same place, are considered.
+ *
+ * @param {FileEntry} directory - The deleted directory.
+ * @param {FileEntry[]} subtree - The entries of the deleted directory.
+ * @param {FileEntry[]} added - The added entries, sorted by path.
+ * @param {Map<string, FileEntry>} addedByPath - The added entries by relative path.
+ * @param {Map<string, number>} addedIndex - The positions of the added entries in `added`.
+ * @param {Map<string, string[]>} addedBySuffix - The added directories by content and path of the files and
+ * symlinks they hold, see `indexBySuffix`.
+ * @param {Set<FileEntry>} consumed - The entries already paired.
+ * @returns {{directory: FileEntry, similarity: number}|null} The most similar directory, or null if there is none.
+ */
+function findMostSimilar(directory, subtree, added, addedByPath, addedIndex, addedBySuffix, consumed) {
+    /** @type {Set<string>} */
+    const candidates = new Set();
+
+    for (const old_entry of subtree) {
+        const key = contentKey(old_entry);
+        if (!key) continue;
+
+        const inner = old_entry.relativePath.slice(directory.relativePath.length + 1);
+        for (const candidate of addedBySuffix.get(`${key}\0${inner}`) ?? []) {
+            if (!consumed.has(/** @type {FileEntry} */ (addedByPath.get(candidate)))) candidates.add(candidate);
+        }
+    }
+
+    /** @type {{directory: FileEntry, similarity: number}|null} */
+    let best = null;
+    const name = basename(directory.relativePath);
+
+    for (const candidate of [...candidates].sort(comparePaths)) {
+        const entry = /** @type {FileEntry} */ (addedByPath.get(candidate));
+        const size = descendants(added, /** @type {number} */ (addedIndex.get(candidate))).length;
+
+        let identical = 0;
+        for (const old_entry of subtree) {
+            const inner = old_entry.relativePath.slice(directory.relativePath.length + 1);
+            const counterpart = addedByPath.get(`${candidate}/${inner}`);
+            if (
+                counterpart &&
+                !consumed.has(counterpart) &&
+                classifyChange(old_entry, counterpart, true, false) === null
+            ) {
+                identical++;
+            }
+        }
+
+        const similarity = identical / Math.max(subtree.length, size);
+        if (
+            !best ||
+            similarity > best.similarity ||
+            (similarity === best.similarity &&
+                basename(candidate) === name &&
+                basename(best.directory.relativePath) !== name)
+        ) {
+            best = { directory: entry, similarity };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Indexes the added directories by the files and symlinks they hold, at any depth: the key is the content of the
+ * file or symlink and its path inside the directory, so the directories holding a given content at a given place
+ * are found without scanning every file with that content.
+ * @param {FileEntry[]} added - The added entries.
+ * @param {Map<string, FileEntry>} addedByPath - The added entries by relative path.
+ * @returns {Map<string, string[]>} The relative paths of the added directories by key.
+ */
+function indexBySuffix(added, addedByPath) {
+    /** @type {Map<string, string[]>} */
+    const index = new Map();
+    for (const entry of added) {
+        const key = contentKey(entry);
+        if (!key) continue;
+
+        const path = entry.relativePath;
+        for (let end = path.indexOf("/"); end !== -1; end = path.indexOf("/", end + 1)) {
+            const directory = path.slice(0, end);
+            if (addedByPath.get(directory)?.type !== "directory") continue;
+
+            const suffix = `${key}\0${path.slice(end + 1)}`;
+            const directories = index.get(suffix);
+            if (directories) directories.push(directory);
+            else index.set(suffix, [directory]);
+        }
+    }
+    return index;
+}
+
+/**
+ * Returns the entries inside a directory, which directly follow it in a list sorted by path.
+ * @param {FileEntry[]} entries - The entries, sorted by path.
+ * @param {number} index - The position of the directory.
+ * @returns {FileEntry[]} The entries of the directory, at any depth.
+ */
+function descendants(entries, index) {
+    const prefix = `${entries[index].relativePath}/`;
+    let end = index + 1;
+    while (end < entries.length && entries[end].relativePath.startsWith(prefix)) end++;
+    return entries.slice(index + 1, end);
+}
+
+/**
+ * Returns the key of the content of a file or symlink, undefined for the other entries.
+ * @param {FileEntry} entry - The entry.
+ * @returns {string|undefined} The key.
+ */
+function contentKey(entry) {
+    if (entry.type === "file") return `file:${entry.size}:${entry.hash}`;
+    if (entry.type === "symlink") return `symlink:${entry.target}`;
+    return undefined;
+}
+
+/**
+ * Sorts entries by relative path, so every directory is directly followed by its contents.
+ * @param {FileEntry[]} entries - The entries.
+ * @returns {FileEntry[]} A sorted copy.
+ */
+function sortByPath(entries) {
+    return [...entries].sort((a, b) => comparePaths(a.relativePath, b.relativePath));
+}
+
+/**
+ * Returns the last segment of a relative path.
+ * @param {string} path - The path.
+ * @returns {string} The name.
+ */
+function basename(path) {
+    return path.slice(path.lastIndexOf("/") + 1);
+}
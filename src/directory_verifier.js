@@ -0,0 +1,193 @@
+// @ts-check
+
+import { resolve } from "node:path";
+import { FileEntry } from "./fileentry.js";
+import { Report } from "./report.js";
+import { Snapshot } from "./snapshot.js";
+import { indexByRelativePath } from "./snapshot_reader.js";
+import { classifyChange, collectErrors, detectMoves, isCoveredByError } from "./snapshot_comparator.js";
+import { walkDirectory } from "./directory_walker.js";
+import { detectDirectoryMoves } from "./directory_moves.js";
+import { calculateFileHash } from "./tools.js";
+
+/**
+ * @typedef {Object} VerifyOptions
+ * @property {boolean} [strict] - Whether every file is hashed, even those whose size and mtime match the snapshot
+ * @property {boolean} [ignoreTimes] - Whether ctime and mtime are left out of the comparison
+ * @property {boolean} [stopOnFirstMismatch] - Whether the check stops at the first difference found
+ * @property {number} [concurrency] - Maximum number of entries stat'ed and hashed at the same time
+ * @property {number} [maxDepth] - Maximum recursion depth
+ * @property {number} [directoryMoveThreshold] - The minimum similarity of a moved directory, see `detectDirectoryMoves`
+ * @property {"similarity"|"order"} [moveTieBreaker] - How files with the same content are paired, see `detectMoves`
+ * @property {Array<string|RegExp>} [excludePaths] - Paths (resolved against the root directory) and expressions (tested against absolute paths) to exclude, instead of those of the snapshot
+ * @property {string[]} [include] - Gitignore-style patterns non-directory entries must match to be walked, instead of those of the snapshot
+ * @property {string[]} [exclude] - Gitignore-style patterns of the entries to exclude, instead of those of the snapshot
+ * @property {string[]} [ignoreFiles] - Names of the gitignore-like files to honor in every directory, instead of those of the snapshot
+ */
+
+/**
+ * Checks a live directory tree against a snapshot, without writing a new snapshot.
+ *
+ * The tree is walked with the patterns recorded in the snapshot header, unless `excludePaths`, `include`,
+ * `exclude` or `ignoreFiles` are given. Files are hashed lazily: only when their size and mtime match
+ * the snapshot, to confirm their content did not change. A file of a different size is reported under
+ * `contentChanged` and one with the same size but a different mtime under `metaDataChanged`, both without
+ * being read. In `strict` mode every file is hashed, so content changes are told apart from metadata changes.
+ * Added files are only hashed if a deleted or unchanged file has the same size, to detect moves and copies.
+ * Moved directories, moves and copies are detected as by `compareSnapshots`, with `directoryMoveThreshold`
+ * and `moveTieBreaker`.
+ *
+ * `ignoreTimes` leaves ctime and mtime out of the comparison, for trees that were copied or deployed
+ * without preserving them. `stopOnFirstMismatch` stops at the first difference found, for a fast pass/fail
+ * check: the report then has `complete: false` and holds only that difference.
+ *
+ * The entries a partial snapshot could not read are reported in `errored`, and the entries at their paths, or inside
+ * them, are not checked.
+ *
+ * @param {string} snapshotPath - The path to the snapshot file the directory is checked against.
+ * @param {string} dirPath - The directory to check.
+ * @param {VerifyOptions} [options] - Verification options.
+ * @returns {Promise<Report>} A promise that resolves with the differences between the snapshot (old) and the directory (new).
+ */
+export async function verifyDirectory(snapshotPath, dirPath, options = {}) {
+    const {
+        strict = false,
+        ignoreTimes = false,
+        stopOnFirstMismatch = false,
+        concurrency = 1,
+        maxDepth = Infinity,
+        directoryMoveThreshold = 0.5,
+        moveTieBreaker = "similarity",
+    } = options;
+
+    const rootPath = resolve(dirPath).replace(/\\/g, "/");
+    const snapshot = new Snapshot(snapshotPath, { rootPath });
+    await snapshot.open();
+
+    const header = snapshot.header;
+    const algorithm = header.hashAlgorithm;
+    const byHash = algorithm !== "none";
+    const patterns = header.patterns;
+
+    const expected = indexByRelativePath(snapshot.entries);
+    /** @type {Set<string>} */
+    const seen = new Set();
+    /** @type {FileEntry[]} */
+    const unchanged = [];
+
+    const errored = collectErrors(expected);
+
+    const summary = new Report();
+    summary.contentComparedBy = byHash ? "hash" : "metadata";
+    summary.period.start = header.createdAt;
+    summary.errored = [...errored.values()];
+
+    const complete = await walkDirectory(rootPath, {
+        excludePaths:
+            options.excludePaths ?? (patterns?.excludePaths ?? []).map(toExcludePath),
+        include: options.include ?? patterns?.include ?? [],
+        exclude: options.exclude ?? patterns?.exclude ?? [],
+        ignoreFiles: options.ignoreFiles ?? patterns?.ignoreFiles ?? [],
+        maxDepth,
+        relativePaths: header.pathMode === "relative",
+        concurrency,
+        captureStats: Boolean(header.captureStats),
+        describeFile: async (record, stats, absolutePath, relativePath) => {
+            const old_entry = expected.get(relativePath);
+
+            // added files are only hashed later, if they may have been moved
+            if (!byHash || !old_entry || old_entry.type !== "file") return;
+
+            if (old_entry.size !== record.size && !strict) return;
+
+            if (strict || ignoreTimes || old_entry.mtime === record.mtime) {
+                record.hash = await calculateFileHash(absolutePath, algorithm);
+            } else {
+                // the mtime already tells the file changed, its content is not checked
+                record.hash = old_entry.hash;
+            }
+        },
+        onEntry: ({ record, relativePath, absolutePath }) => {
+            record.relativePath = relativePath;
+            record.absolutePath = absolutePath;
+            seen.add(relativePath);
+            if (isCoveredByError(relativePath, errored)) return true;
+
+            const old_entry = expected.get(relativePath);
+            if (!old_entry) {
+                summary.added.push(record);
+                return !stopOnFirstMismatch;
+            }
+
+            const change = classifyChange(old_entry, record, byHash, !ignoreTimes);
+
+            if (change === "replaced") {
+                summary.deleted.push(old_entry);
+                summary.added.push(record);
+            } else if (change) {
+                summary[change].push({
+                    oldValue: old_entry,
+                    newValue: record,
+                });
+            }
+
+            if (record.type === "file" && change !== "contentChanged" && change !== "replaced") {
+                unchanged.push(old_entry);
+            }
+
+            return !(stopOnFirstMismatch && change);
+        },
+    });
+
+    summary.period.end = new Date().toISOString();
+
+    if (!complete) {
+        summary.complete = false;
+        return summary;
+    }
+
+    for (const [path, old_entry] of expected) {
+        if (!seen.has(path) && !isCoveredByError(path, errored)) {
+            summary.deleted.push(old_entry);
+        }
+    }
+
+    if (byHash) {
+        await hashPossiblyMovedFiles(summary, unchanged, algorithm);
+        detectDirectoryMoves(summary, directoryMoveThreshold);
+        detectMoves(summary, { unchanged, tieBreaker: moveTieBreaker });
+    }
+
+    return summary;
+}
+
+/**
+ * Hashes the added files that have the same size as a deleted or an unchanged file,
+ * so they can be paired as moves or copies.
+ * @param {Report} summary - The report, whose added files get their hash.
+ * @param {FileEntry[]} unchanged - The files of the snapshot found unchanged in the directory.
+ * @param {string} algorithm - The hash algorithm of the snapshot.
+ */
+async function hashPossiblyMovedFiles(summary, unchanged, algorithm) {
+    const knownSizes = new Set(
+        summary.deleted
+            .concat(unchanged)
+            .filter((entry) => entry.type === "file")
+            .map((entry) => entry.size)
+    );
+
+    for (const entry of summary.added) {
+        if (entry.type === "file" && entry.hash === undefined && knownSizes.has(entry.size)) {
+            entry.hash = await calculateFileHash(entry.absolutePath, algorithm);
+        }
+    }
+}
+
+/**
+ * Converts an exclusion rule recorded in a snapshot header back to the form accepted by `createSnapshot`.
+ * @param {string|{source: string, flags: string}} rule - The recorded rule.
+ * @returns {string|RegExp} The path or regular expression.
+ */
+function toExcludePath(rule) {
+    return typeof rule === "string" ? rule : new RegExp(rule.source, rule.flags);
+}
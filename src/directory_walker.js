@@ -0,0 +1,376 @@
+// @ts-check
+
+import { readdir, lstat, readlink, stat, readFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { createLimiter } from "./tools.js";
+import { FileEntry } from "./fileentry.js";
+import { compilePatterns, matchRules, parseIgnoreFile } from "./patterns.js";
+
+/**
+ * An entry found while walking a directory tree.
+ * @typedef {Object} WalkedEntry
+ * @property {FileEntry} record - The record describing the entry
+ * @property {import('node:fs').Stats} stats - The stats returned by `lstat`
+ * @property {string} absolutePath - The absolute path of the entry
+ * @property {string} relativePath - The path of the entry relative to the root directory
+ * @property {boolean} isDirectory - Whether the entry is a directory
+ * @property {DirectoryListing} [listing] - The contents of a directory that is walked, read ahead with the entry
+ */
+
+/**
+ * The contents of a directory.
+ * @typedef {Object} DirectoryListing
+ * @property {string[]} items - The names of the entries of the directory, sorted
+ * @property {import('./patterns.js').PatternRule[]} ignoreRules - The patterns of the ignore files found in the directory
+ */
+
+/**
+ * Options of `walkDirectory`.
+ * @typedef {Object} WalkOptions
+ * @property {Array<string|RegExp>} [excludePaths] - Paths (resolved against the root directory) and expressions (tested against absolute paths) to exclude
+ * @property {string[]} [include] - Gitignore-style patterns non-directory entries must match to be walked, none to walk all
+ * @property {string[]} [exclude] - Gitignore-style patterns of the entries to exclude
+ * @property {string[]} [ignoreFiles] - Names of the gitignore-like files to honor in every directory
+ * @property {number} [maxDepth] - Maximum recursion depth
+ * @property {boolean} [relativePaths] - Whether the records store paths relative to the root directory
+ * @property {number} [concurrency] - Maximum number of entries stat'ed and described at the same time
+ * @property {boolean} [captureStats] - Whether the records get the mode, ownership, inode, link count and birthtime of the entries
+ * @property {boolean} [tolerant] - Whether an entry that cannot be read is handed over with an `error` field instead of
+ * aborting the walk. Only system errors, those with an errno, are tolerated. The root directory must be readable.
+ * @property {(record: FileEntry, stats: import('node:fs').Stats, absolutePath: string, relativePath: string) => Promise<void>} [describeFile]
+ * Completes the record of a regular file, e.g. with its hash. Runs within the concurrency limit.
+ * @property {(entry: WalkedEntry) => boolean|void|Promise<boolean|void>} onEntry
+ * Called for each entry, in order: the entries of a directory sorted by name, each directory followed by its contents.
+ * Returning false stops the walk.
+ */
+
+/**
+ * State shared by all levels of a single directory walk.
+ * @typedef {Object} WalkContext
+ * @property {string} rootPath - Absolute path of the root directory
+ * @property {Array<string|RegExp>} excludePaths - Set of paths (relative to the root directory) and expressions to exclude
+ * @property {import('./patterns.js').PatternRule[]} includeRules - Patterns non-directory entries must match to be walked, none to walk all
+ * @property {string[]} ignoreFiles - Names of the gitignore-like files to honor
+ * @property {number} maxDepth - Maximum recursion depth
+ * @property {boolean} relativePaths - Whether records store paths relative to the root directory
+ * @property {number} concurrency - Maximum number of entries prepared at the same time
+ * @property {boolean} captureStats - Whether records get the mode, ownership, inode, link count and birthtime
+ * @property {boolean} tolerant - Whether entries that cannot be read are recorded with an error instead of aborting the walk
+ * @property {<T>(task: () => Promise<T>) => Promise<T>} limit - Runs a task within the concurrency limit
+ * @property {WalkOptions["describeFile"]} describeFile - Completes the records of regular files
+ * @property {WalkOptions["onEntry"]} onEntry - Receives the entries in order
+ * @property {boolean} stopped - Whether `onEntry` asked to stop the walk
+ */
+
+/**
+ * Walks a directory tree, passing every entry that is not excluded to `onEntry`.
+ *
+ * Entries are stat'ed and described up to `concurrency` at a time, ahead of the entry being handed over,
+ * but they are always handed over in the same order, so the result does not depend on the concurrency
+ * nor on the order the file system lists the entries in.
+ *
+ * @param {string} dirPath - The root directory to walk
+ * @param {WalkOptions} options - Walk options
+ * @returns {Promise<boolean>} A promise that resolves with true if the whole tree was walked, false if `onEntry` stopped the walk
+ */
+export async function walkDirectory(dirPath, options) {
+    const {
+        excludePaths = [],
+        include = [],
+        exclude = [],
+        ignoreFiles = [],
+        maxDepth = Infinity,
+        relativePaths = false,
+        concurrency = 1,
+        captureStats = false,
+        tolerant = false,
+        describeFile = async () => {},
+        onEntry,
+    } = options;
+
+    /** @type {WalkContext} */
+    const context = {
+        rootPath: resolve(dirPath),
+        excludePaths,
+        includeRules: compilePatterns(include),
+        ignoreFiles,
+        maxDepth,
+        relativePaths,
+        concurrency: Math.max(1, concurrency),
+        captureStats,
+        tolerant,
+        limit: createLimiter(Math.max(1, concurrency)),
+        describeFile,
+        onEntry,
+        stopped: false,
+    };
+
+    if (shouldExclude(context.rootPath.replace(/\\/g, "/"), excludePaths, context.rootPath)) return true;
+
+    const listing = await listDirectory(context.rootPath, "", ignoreFiles);
+    await processDirectory(context.rootPath, listing, context, 0, "", compilePatterns(exclude));
+    return !context.stopped;
+}
+
+/**
+ * Recursively processes a directory, excluding specified paths
+ * @param {string} currentPath - Current directory being processed
+ * @param {DirectoryListing} listing - The contents of the directory
+ * @param {WalkContext} context - State of the walk
+ * @param {number} [currentDepth=0] - Current recursion depth
+ * @param {string} [relativeDir=""] - Path of the current directory relative to the root directory
+ * @param {import('./patterns.js').PatternRule[]} [excludeRules=[]] - Exclusion patterns in effect for the current directory
+ */
+async function processDirectory(
+    currentPath,
+    listing,
+    context,
+    currentDepth = 0,
+    relativeDir = "",
+    excludeRules = []
+) {
+    const { items } = listing;
+    const rules = excludeRules.concat(listing.ignoreRules);
+
+    // entries are prepared ahead of time, up to a window of twice the concurrency,
+    // but handed over and descended into strictly in order
+    const window = context.concurrency * 2;
+    /** @type {Array<Promise<WalkedEntry|null>|undefined>} */
+    const tasks = new Array(items.length);
+    let started = 0;
+
+    for (let i = 0; i < items.length && !context.stopped; i++) {
+        for (; started < Math.min(i + window, items.length); started++) {
+            const item = items[started];
+            const task = context.limit(() =>
+                prepareEntry(currentPath, item, context, currentDepth, relativeDir, rules)
+            );
+            // a rejection is handled when the task is awaited in order
+            task.catch(() => {});
+            tasks[started] = task;
+        }
+
+        const prepared = await tasks[i];
+        tasks[i] = undefined;
+        if (!prepared) continue;
+
+        if ((await context.onEntry(prepared)) === false) {
+            context.stopped = true;
+            break;
+        }
+
+        if (prepared.listing) {
+            await processDirectory(
+                prepared.absolutePath,
+                prepared.listing,
+                context,
+                currentDepth + 1,
+                prepared.relativePath,
+                rules
+            );
+        }
+    }
+
+    // let the entries prepared ahead of a stop settle before returning
+    await Promise.allSettled(tasks.slice(0, started).filter(Boolean));
+}
+
+/**
+ * Stats, filters and describes a single entry of a directory.
+ * @param {string} currentPath - The directory containing the entry
+ * @param {string} item - The name of the entry
+ * @param {WalkContext} context - State of the walk
+ * @param {number} currentDepth - Depth of the entry
+ * @param {string} relativeDir - Path of the directory relative to the root directory
+ * @param {import('./patterns.js').PatternRule[]} rules - Exclusion patterns in effect for the directory
+ * @returns {Promise<WalkedEntry|null>} The prepared entry, or null if it is excluded
+ */
+async function prepareEntry(currentPath, item, context, currentDepth, relativeDir, rules) {
+    const { rootPath, excludePaths } = context;
+
+    const fullPath = join(currentPath, item);
+    const absolutePath = resolve(fullPath).replace(/\\/g, "/");
+    const relativePath = relativeDir ? `${relativeDir}/${item}` : item;
+
+    if (shouldExclude(absolutePath, excludePaths, rootPath)) return null;
+
+    /** @type {import('node:fs').Stats} */
+    let stats;
+    try {
+        stats = await lstat(absolutePath);
+    } catch (error) {
+        if (!isTolerated(error, context)) throw error;
+        // e.g. deleted since its directory was listed: what it was is unknown, so it is filtered as a file
+        if (matchRules(rules, relativePath, false)) return null;
+        if (context.includeRules.length && !matchRules(context.includeRules, relativePath, false)) return null;
+
+        const record = new FileEntry(
+            context.relativePaths ? relativePath : absolutePath,
+            "unknown",
+            /** @type {any} */ (undefined),
+            /** @type {any} */ (undefined),
+            currentDepth,
+        );
+        setError(record, error);
+        return { record, stats: /** @type {any} */ (null), absolutePath, relativePath, isDirectory: false };
+    }
+    const isDirectory = stats.isDirectory();
+
+    if (matchRules(rules, relativePath, isDirectory)) return null;
+    if (
+        !isDirectory &&
+        context.includeRules.length &&
+        !matchRules(context.includeRules, relativePath, false)
+    ) {
+        return null;
+    }
+
+    /** @type {FileEntry} */
+    let record = new FileEntry(
+        context.relativePaths ? relativePath : absolutePath,
+        getEntryType(stats),
+        stats.ctime.toISOString(),
+        stats.mtime.toISOString(),
+        currentDepth,
+    );
+
+    if (context.captureStats) setStats(record, stats);
+
+    /** @type {DirectoryListing|undefined} */
+    let listing;
+    try {
+        if (stats.isFile()) {
+            record.size = stats.size;
+            await context.describeFile(record, stats, absolutePath, relativePath);
+        } else if (stats.isSymbolicLink()) {
+            // the link itself is recorded, its target is never followed or hashed
+            record.target = (await readlink(absolutePath)).replace(/\\/g, "/");
+            record.dangling = await isDangling(absolutePath);
+        } else if (isDirectory && currentDepth < context.maxDepth) {
+            listing = await listDirectory(absolutePath, relativePath, context.ignoreFiles);
+        }
+    } catch (error) {
+        if (!isTolerated(error, context)) throw error;
+        record.hash = undefined;
+        setError(record, error);
+    }
+
+    return { record, stats, absolutePath, relativePath, isDirectory, listing };
+}
+
+/**
+ * Reads the contents of a directory and its ignore files.
+ * @param {string} dirPath - The directory
+ * @param {string} relativeDir - Path of the directory relative to the root directory
+ * @param {string[]} ignoreFiles - Names of the ignore files to honor
+ * @returns {Promise<DirectoryListing>} The contents of the directory
+ */
+async function listDirectory(dirPath, relativeDir, ignoreFiles) {
+    // sorted, so the output does not depend on the order the file system lists the entries in
+    const items = (await readdir(dirPath)).sort();
+    return { items, ignoreRules: await readIgnoreFiles(dirPath, items, relativeDir, ignoreFiles) };
+}
+
+/**
+ * Tells whether an error reading an entry is recorded rather than aborting the walk.
+ * @param {any} error - The error
+ * @param {WalkContext} context - State of the walk
+ * @returns {boolean} True in tolerant mode for system errors
+ */
+function isTolerated(error, context) {
+    return context.tolerant && typeof error?.code === "string" && typeof error.errno === "number";
+}
+
+/**
+ * Records why an entry could not be read.
+ * @param {FileEntry} record - The record of the entry
+ * @param {any} error - The system error
+ */
+function setError(record, error) {
+    record.error = { code: error.code, errno: error.errno, message: error.message };
+}
+
+/**
+ * Records the permissions, ownership, inode, link count and birthtime of an entry.
+ * @param {FileEntry} record - The record of the entry
+ * @param {import('node:fs').Stats} stats - The stats returned by `lstat`
+ */
+function setStats(record, stats) {
+    record.mode = stats.mode & 0o7777;
+    record.uid = stats.uid;
+    record.gid = stats.gid;
+    record.ino = stats.ino;
+    record.dev = stats.dev;
+    record.nlink = stats.nlink;
+    record.birthtime = stats.birthtime.toISOString();
+}
+
+/**
+ * Determines the entry type from the stats returned by `lstat`.
+ * Only regular files are ever opened; fifos, sockets and devices could block or never end when read.
+ * @param {import('node:fs').Stats} stats - The stats of the entry
+ * @returns {import('./fileentry.js').EntryType} The type of the entry
+ */
+export function getEntryType(stats) {
+    if (stats.isDirectory()) return "directory";
+    if (stats.isSymbolicLink()) return "symlink";
+    if (stats.isFIFO()) return "fifo";
+    if (stats.isSocket()) return "socket";
+    if (stats.isCharacterDevice()) return "char-device";
+    if (stats.isBlockDevice()) return "block-device";
+    return "file";
+}
+
+/**
+ * Checks whether a symbolic link points to an entry that does not exist.
+ * @param {string} linkPath - The path of the symbolic link
+ * @returns {Promise<boolean>} True if the target of the link cannot be found
+ */
+async function isDangling(linkPath) {
+    try {
+        await stat(linkPath);
+        return false;
+    } catch (error) {
+        if (error.code === "ENOENT" || error.code === "ENOTDIR" || error.code === "ELOOP") {
+            return true;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reads the gitignore-like files present in a directory.
+ * @param {string} currentPath - The directory being processed
+ * @param {string[]} items - The names of the entries of the directory
+ * @param {string} relativeDir - Path of the directory relative to the root directory
+ * @param {string[]} ignoreFiles - Names of the ignore files to honor
+ * @returns {Promise<import('./patterns.js').PatternRule[]>} The patterns of the files, scoped to the directory
+ */
+async function readIgnoreFiles(currentPath, items, relativeDir, ignoreFiles) {
+    /** @type {import('./patterns.js').PatternRule[]} */
+    let rules = [];
+    for (const name of ignoreFiles) {
+        if (!items.includes(name)) continue;
+        const content = await readFile(join(currentPath, name), "utf-8");
+        rules = rules.concat(parseIgnoreFile(content, relativeDir));
+    }
+    return rules;
+}
+
+/**
+ * Checks if a given absolute path should be excluded based on a set of rules
+ * @param {string} absolutePath - The absolute path to check
+ * @param {Array<string|RegExp>} excludePaths - The set of rules to check against
+ * @param {string} rootPath - The directory the string rules are resolved against
+ * @returns {boolean} Whether the path should be excluded or not
+ */
+function shouldExclude(absolutePath, excludePaths, rootPath) {
+    return excludePaths.some((rule) => {
+        if (typeof rule === "string") {
+            return resolve(rootPath, rule).replace(/\\/g, "/") === absolutePath;
+        } else if (rule instanceof RegExp) {
+            return rule.test(absolutePath);
+        }
+        return false;
+    });
+}
@@ -0,0 +1,325 @@
+// @ts-check
+
+import { EventEmitter } from "node:events";
+import { watch } from "node:fs";
+import { copyFile, mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { setTimeout as sleep } from "node:timers/promises";
+import { isAbsolute, join, relative, resolve, sep } from "node:path";
+import { createSnapshot } from "./snapshot_creator.js";
+import { compareSnapshots } from "./snapshot_comparator.js";
+import { readSnapshotFooter, readSnapshotHeader } from "./snapshot_reader.js";
+import { Report } from "./report.js";
+import { compressFile, compressionOf } from "./compression.js";
+import { generateSnapshotName } from "./tools.js";
+
+/**
+ * Options of `watchDirectory`.
+ * @typedef {Object} WatchOptions
+ * @property {string} [baseline] - The snapshot the first changes are reported against. By default a snapshot of the
+ * directory is taken when the watch starts.
+ * @property {number} [debounce=500] - How many milliseconds the file system must be quiet before a rescan
+ * @property {number} [rescanInterval=60000] - How many milliseconds between two rescans without file system
+ * events, to catch the events that were missed. 0 to only rescan on events.
+ * @property {number} [snapshotInterval=0] - How many milliseconds between two snapshots written to
+ * `snapshotDir`. 0 to only write snapshots on demand, with `writeSnapshot`.
+ * @property {string} [snapshotDir="."] - The directory the snapshots of `snapshotInterval` are written to, as
+ * `snapshot.<date>.<time>.ndjson`. When it is given or `snapshotInterval` is set, it is left out of the watched
+ * tree if it lies strictly inside, never when it is the watched directory itself or one of its ancestors.
+ * @property {Omit<Parameters<typeof createSnapshot>[0], "outputFile"|"dirPath"|"baseSnapshot">} [snapshotOptions] -
+ * Options of the scans, as for `createSnapshot`, e.g. `exclude` or `relativePaths`.
+ * @property {import("./snapshot_comparator.js").CompareOptions} [compareOptions] - Options of the comparisons between
+ * two scans, as for `compareSnapshots`.
+ */
+
+/**
+ * Watches a directory tree and emits its changes, in batches, as `Report`s.
+ *
+ * The tree is listened to with `fs.watch`, recursively where the platform supports it, only the root directory
+ * otherwise. Events only tell that something changed: once the file system has been quiet for `debounce`
+ * milliseconds, the tree is rescanned and compared with the previous scan, so a batch has the same categories as
+ * the reports of `compareSnapshots`: added, deleted, moved, copied, contentChanged, metaDataChanged... Rescans reuse
+ * the hashes of the files whose size and times did not change, see the `baseSnapshot` option of `createSnapshot`.
+ * The tree is also rescanned every `rescanInterval` milliseconds, to catch the changes events were missed for.
+ *
+ * The watcher emits:
+ * - "change" with the `Report` of each batch that is not empty,
+ * - "snapshot" with the path of each snapshot written by `writeSnapshot` or every `snapshotInterval`,
+ * - "error" with the errors of rescans and of `fs.watch`, if it has listeners. Watching goes on after them.
+ *
+ * @param {string} dirPath - The directory to watch.
+ * @param {WatchOptions} [options] - Watch options.
+ * @returns {Promise<DirectoryWatcher>} A promise that resolves with the watcher once the baseline is known and the
+ * tree is listened to.
+ */
+export async function watchDirectory(dirPath, options = {}) {
+    const watcher = new DirectoryWatcher(dirPath, options);
+    await watcher.start();
+    return watcher;
+}
+
+/**
+ * A directory tree being watched, see `watchDirectory`.
+ */
+export class DirectoryWatcher extends EventEmitter {
+    /** @type {string} */
+    #rootPath;
+    /** @type {Required<Omit<WatchOptions, "baseline">> & {baseline?: string}} */
+    #options;
+    /** @type {string} */
+    #workDir = "";
+    /**
+     * The latest scan, the baseline until the first rescan.
+     * @type {string}
+     */
+    #current = "";
+    /**
+     * When the latest scan was created, in milliseconds since the epoch. `compareSnapshots` refuses two snapshots
+     * created in the same millisecond as being the same one, so the next scan starts after it.
+     */
+    #scannedAt = 0;
+    #generation = 0;
+    /** @type {import("node:fs").FSWatcher|null} */
+    #fsWatcher = null;
+    /**
+     * The directory of the periodic snapshots when it is left out of the watched tree, null otherwise.
+     * @type {string|null}
+     */
+    #excludedDir = null;
+    /** @type {NodeJS.Timeout|undefined} */
+    #debounceTimer;
+    /** @type {NodeJS.Timeout|undefined} */
+    #rescanTimer;
+    /** @type {NodeJS.Timeout|undefined} */
+    #snapshotTimer;
+    /**
+     * The last rescan scheduled, rescans run one at a time.
+     * @type {Promise<any>}
+     */
+    #queue = Promise.resolve();
+    #closed = false;
+
+    /**
+     * @param {string} dirPath - The directory to watch.
+     * @param {WatchOptions} [options] - Watch options.
+     */
+    constructor(dirPath, options = {}) {
+        super();
+        this.#rootPath = resolve(dirPath);
+
+        const snapshotDir = resolve(options.snapshotDir ?? ".");
+        const snapshotInterval = options.snapshotInterval ?? 0;
+        const snapshotOptions = { ...options.snapshotOptions };
+        // the default "." only matters when snapshots are written there periodically: watching the current
+        // directory must not leave it out
+        const writesToSnapshotDir = options.snapshotDir !== undefined || snapshotInterval > 0;
+        if (writesToSnapshotDir && snapshotDir !== this.#rootPath && isInside(snapshotDir, this.#rootPath)) {
+            this.#excludedDir = snapshotDir;
+            snapshotOptions.excludePaths = [...(snapshotOptions.excludePaths ?? []), snapshotDir];
+        }
+
+        this.#options = {
+            baseline: options.baseline,
+            debounce: options.debounce ?? 500,
+            rescanInterval: options.rescanInterval ?? 60000,
+            snapshotInterval,
+            snapshotDir,
+            snapshotOptions,
+            compareOptions: options.compareOptions ?? {},
+        };
+    }
+
+    /**
+     * The directory being watched.
+     * @type {string}
+     * @readonly
+     */
+    get rootPath() {
+        return this.#rootPath;
+    }
+
+    /**
+     * Takes the baseline and starts listening to the tree. Called by `watchDirectory`.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const { baseline, rescanInterval, snapshotInterval } = this.#options;
+        this.#workDir = await mkdtemp(join(tmpdir(), "dir-snapshot-watch-"));
+
+        if (baseline) {
+            this.#current = baseline;
+            this.#scannedAt = Date.parse((await readSnapshotHeader(baseline)).createdAt);
+        } else {
+            this.#current = await this.#scan();
+        }
+
+        this.#fsWatcher = listen(this.#rootPath, (filename) => this.#onEvent(filename));
+        this.#fsWatcher.on("error", (error) => {
+            if (this.listenerCount("error")) this.emit("error", error);
+        });
+
+        if (rescanInterval > 0) {
+            this.#rescanTimer = setInterval(() => this.rescan().catch(() => {}), rescanInterval);
+        }
+        if (snapshotInterval > 0) {
+            this.#snapshotTimer = setInterval(() => {
+                const outputFile = join(this.#options.snapshotDir, generateSnapshotName());
+                this.writeSnapshot(outputFile).catch(() => {});
+            }, snapshotInterval);
+        }
+
+        // the changes made since the baseline are reported right away
+        if (baseline) this.rescan().catch(() => {});
+    }
+
+    /**
+     * Rescans the tree now, after the rescans already scheduled, and emits its changes if there are any.
+     * Failures are emitted as "error" too.
+     * @returns {Promise<Report>} A promise that resolves with the changes since the previous scan.
+     */
+    async rescan() {
+        if (this.#closed) throw new Error("Watcher is closed.");
+        return this.#enqueue(() => this.#rescan());
+    }
+
+    /**
+     * Rescans the tree and writes the resulting snapshot. It is gzip or brotli compressed if `outputFile` ends
+     * with ".gz" or ".br".
+     * @param {string} outputFile - The snapshot file to write.
+     * @returns {Promise<string>} A promise that resolves with the path of the snapshot once written.
+     */
+    async writeSnapshot(outputFile) {
+        if (this.#closed) throw new Error("Watcher is closed.");
+
+        // queued as a whole, so no other rescan replaces the scan while it is copied
+        await this.#enqueue(async () => {
+            await this.#rescan();
+            const compression = compressionOf(outputFile);
+            if (compression === "none") {
+                await copyFile(this.#current, outputFile);
+            } else {
+                await compressFile(this.#current, outputFile, compression);
+            }
+        });
+
+        this.emit("snapshot", outputFile);
+        return outputFile;
+    }
+
+    /**
+     * Stops watching, waits for the rescan in progress and removes the temporary scans.
+     * The baseline given to `watchDirectory` is left as is.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.#closed) return;
+        this.#closed = true;
+
+        this.#fsWatcher?.close();
+        clearTimeout(this.#debounceTimer);
+        clearInterval(this.#rescanTimer);
+        clearInterval(this.#snapshotTimer);
+
+        await this.#queue;
+        await rm(this.#workDir, { recursive: true, force: true });
+    }
+
+    /**
+     * Schedules a rescan once the file system has been quiet for the debounce delay.
+     * @param {string|null} filename - The path of the changed entry relative to the root directory, if known.
+     */
+    #onEvent(filename) {
+        if (this.#closed) return;
+        if (filename && this.#excludedDir && isInside(resolve(this.#rootPath, filename), this.#excludedDir)) return;
+
+        clearTimeout(this.#debounceTimer);
+        this.#debounceTimer = setTimeout(() => this.rescan().catch(() => {}), this.#options.debounce);
+    }
+
+    /**
+     * Runs a task once the tasks queued before it are over. Its failure is emitted as "error".
+     * @template T
+     * @param {() => Promise<T>} task - The task.
+     * @returns {Promise<T>} A promise that resolves with the result of the task.
+     */
+    #enqueue(task) {
+        const result = this.#queue.then(task);
+        this.#queue = result.catch((error) => {
+            if (this.listenerCount("error")) this.emit("error", error);
+        });
+        return result;
+    }
+
+    /**
+     * Scans the tree and compares the scan with the previous one.
+     * @returns {Promise<Report>} The changes since the previous scan, none if the watcher was closed meanwhile.
+     */
+    async #rescan() {
+        if (this.#closed) return new Report();
+
+        const previous = this.#current;
+        const next = await this.#scan(previous);
+        const report = await compareSnapshots(previous, next, this.#options.compareOptions);
+
+        this.#current = next;
+        if (previous !== this.#options.baseline) await rm(previous, { force: true });
+
+        if (report.countChanges()) this.emit("change", report);
+        return report;
+    }
+
+    /**
+     * Writes a snapshot of the tree to the work directory.
+     * @param {string} [baseSnapshot] - The previous scan, whose hashes are reused.
+     * @returns {Promise<string>} The path of the snapshot.
+     * @throws {Error} If the snapshot failed.
+     */
+    async #scan(baseSnapshot) {
+        const outputFile = join(this.#workDir, `scan-${this.#generation++}.ndjson`);
+        while (Date.now() === this.#scannedAt) await sleep(1);
+        const success = await createSnapshot({
+            ...this.#options.snapshotOptions,
+            outputFile,
+            dirPath: this.#rootPath,
+            baseSnapshot,
+            compression: "none",
+        });
+
+        if (!success) {
+            const { message } = await readSnapshotFooter(outputFile);
+            await rm(outputFile, { force: true });
+            throw new Error(`Scan of ${this.#rootPath} failed: ${message}`);
+        }
+        this.#scannedAt = Date.parse((await readSnapshotHeader(outputFile)).createdAt);
+        return outputFile;
+    }
+}
+
+/**
+ * Listens to the changes of a tree with `fs.watch`, recursively where the platform supports it.
+ * @param {string} rootPath - The root directory.
+ * @param {(filename: string|null) => void} onEvent - Receives the path of each changed entry, relative to the root directory.
+ * @returns {import("node:fs").FSWatcher} The watcher.
+ */
+function listen(rootPath, onEvent) {
+    /** @type {(eventType: string, filename: string|Buffer|null) => void} */
+    const listener = (eventType, filename) => onEvent(filename === null ? null : String(filename));
+    try {
+        return watch(rootPath, { recursive: true }, listener);
+    } catch (error) {
+        if (error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw error;
+        // only the root directory is listened to, the periodic rescans catch the rest
+        return watch(rootPath, listener);
+    }
+}
+
+/**
+ * Tells whether a path is a directory or inside it.
+ * @param {string} path - The absolute path.
+ * @param {string} directory - The absolute path of the directory.
+ * @returns {boolean} True if `path` is `directory` or one of its descendants.
+ */
+function isInside(path, directory) {
+    const rel = relative(directory, path);
+    return rel === "" || (rel !== ".." && !rel.startsWith(`..${sep}`) && !isAbsolute(rel));
+}
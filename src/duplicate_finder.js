@@ -0,0 +1,362 @@
+// @ts-check
+
+import { FileEntry } from "./fileentry.js";
+import { Snapshot } from "./snapshot.js";
+
+/**
+ * Options of `findDuplicates`.
+ * @typedef {Object} DuplicateOptions
+ * @property {number} [minSize=1] - The minimum size in bytes of the files, and of the directories, to group. Empty
+ * files all have the same content, so they are left out by default
+ * @property {boolean} [directories=false] - Whether to also group the directories with the same hash, that hold the
+ * same names, types and contents. The contents of their redundant copies are then left out of the other groups
+ * @property {AbortSignal} [signal] - Stops reading the snapshots when aborted
+ */
+
+/**
+ * A copy of a duplicated file or directory.
+ * @typedef {Object} DuplicateCopy
+ * @property {string} snapshot - The snapshot file the entry was read from
+ * @property {FileEntry} entry - The entry, whose `absolutePath` locates the copy
+ */
+
+/**
+ * Files, or directories, with the same content.
+ * @typedef {Object} DuplicateGroup
+ * @property {"file"|"directory"} type - The type of the copies
+ * @property {string} hash - The hash of the copies
+ * @property {number} size - The size of a copy in bytes, the total size of its files for a directory
+ * @property {number} files - The number of files of a copy, 1 for a file
+ * @property {DuplicateCopy[]} copies - The copies, at least two, in the order of the snapshots then of the paths.
+ * The first one is the copy to keep
+ * @property {number} wastedBytes - The bytes the redundant copies take, `size` times the number of copies but one
+ */
+
+/**
+ * Finds the files with the same content within one snapshot or across several, from their hashes.
+ *
+ * A file is a copy of another if both have the same hash and size. Files listed by several snapshots of the same
+ * machine at the same absolute path are the same file, and only count once, as listed by the first snapshot. So
+ * are the hard links to the same inode, when the snapshots were created with `captureStats`: they take no extra
+ * space. Entries that could not be read are left out.
+ *
+ * With `directories`, the directories with the same hash are grouped too, see `TreeHasher`. Only the largest
+ * identical trees are reported: the files and directories inside a redundant copy are left out of the other
+ * groups, so no byte is counted twice, while those inside the copy to keep can still be grouped with copies
+ * elsewhere.
+ *
+ * Groups are ranked by wasted bytes, the largest first.
+ *
+ * @param {string|string[]} snapshotPaths - The snapshot, or the snapshots, to search.
+ * @param {DuplicateOptions} [options] - Search options.
+ * @returns {Promise<DuplicateReport>} A promise that resolves with the groups of duplicates.
+ * @throws {Error} If a snapshot is invalid, was not hashed, or the snapshots were hashed with different algorithms.
+ */
+export async function findDuplicates(snapshotPaths, options = {}) {
+    const { minSize = 1, directories = false, signal } = options;
+    const paths = [snapshotPaths].flat();
+
+    /** @type {Snapshot[]} */
+    const snapshots = [];
+    for (const path of paths) {
+        const snapshot = new Snapshot(path, { signal });
+        if (!(await snapshot.open())) {
+            throw new Error(`Snapshot file is invalid: ${path}`);
+        }
+        snapshots.push(snapshot);
+    }
+    checkAlgorithms(snapshots);
+
+    /** @type {Map<string, Candidate[]>} */
+    const fileCopies = new Map();
+    /** @type {Map<string, Candidate[]>} */
+    const directoryCopies = new Map();
+    /** @type {Set<string>} */
+    const locations = new Set();
+
+    snapshots.forEach((snapshot, index) => {
+        const { machineId } = snapshot.header;
+        const stats = snapshot.directoryStats();
+        const entryCounts = countEntriesBelow(snapshot);
+
+        for (const entry of snapshot.walk()) {
+            if (entry.error || entry.hash === undefined) continue;
+
+            const location = `${machineId}\0${entry.absolutePath}`;
+            if (locations.has(location)) continue;
+            locations.add(location);
+
+            /** @type {Candidate} */
+            const candidate = {
+                index,
+                machineId,
+                copy: { snapshot: snapshot.path ?? "", entry },
+                size: 0,
+                files: 1,
+                entries: 0,
+            };
+
+            if (entry.type === "file") {
+                candidate.size = entry.size ?? 0;
+                if (candidate.size < minSize) continue;
+                addTo(fileCopies, `${entry.hash}:${candidate.size}`, candidate);
+            } else if (directories && entry.type === "directory") {
+                const { size, files } = /** @type {import("./snapshot.js").DirectoryStats} */ (
+                    stats.get(entry.relativePath)
+                );
+                if (files === 0 || size < minSize) continue;
+                Object.assign(candidate, { size, files, entries: entryCounts.get(entry.relativePath) ?? 0 });
+                addTo(directoryCopies, entry.hash, candidate);
+            }
+        }
+    });
+
+    /**
+     * The redundant copies of the directory groups, as `index\0relativePath`.
+     * @type {Set<string>}
+     */
+    const redundant = new Set();
+    /** @param {Candidate} candidate */
+    const isInsideRedundant = ({ index, copy }) => {
+        let path = copy.entry.relativePath;
+        for (let slash = path.lastIndexOf("/"); slash !== -1; slash = path.lastIndexOf("/")) {
+            path = path.slice(0, slash);
+            if (redundant.has(`${index}\0${path}`)) return true;
+        }
+        return false;
+    };
+
+    const report = new DuplicateReport();
+    report.snapshots = paths;
+
+    // an ancestor always has more entries below it than its descendants, so it is grouped first
+    const directoryGroups = [...directoryCopies.values()].sort((a, b) => b[0].entries - a[0].entries);
+    for (const candidates of directoryGroups) {
+        const copies = candidates.filter((candidate) => !isInsideRedundant(candidate));
+        if (copies.length < 2) continue;
+
+        for (const { index, copy } of copies.slice(1)) {
+            redundant.add(`${index}\0${copy.entry.relativePath}`);
+        }
+        report.directories.push(toGroup("directory", copies));
+    }
+
+    for (const candidates of fileCopies.values()) {
+        /** @type {Set<string>} */
+        const inodes = new Set();
+        const copies = candidates.filter((candidate) => {
+            if (isInsideRedundant(candidate)) return false;
+
+            const { ino, dev } = candidate.copy.entry;
+            if (ino === undefined) return true;
+            // a hard link to a copy already listed takes no extra space
+            const inode = `${candidate.machineId}\0${dev}:${ino}`;
+            if (inodes.has(inode)) return false;
+            inodes.add(inode);
+            return true;
+        });
+        if (copies.length < 2) continue;
+
+        report.files.push(toGroup("file", copies));
+    }
+
+    report.directories.sort(byWastedBytes);
+    report.files.sort(byWastedBytes);
+    return report;
+}
+
+/**
+ * The groups of duplicates found by `findDuplicates`.
+ */
+export class DuplicateReport {
+    /**
+     * The snapshots searched.
+     * @type {string[]}
+     */
+    snapshots = [];
+    /**
+     * The groups of identical files, the largest waste first.
+     * @type {DuplicateGroup[]}
+     */
+    files = [];
+    /**
+     * The groups of identical directories, the largest waste first. Empty unless `directories` was set.
+     * @type {DuplicateGroup[]}
+     */
+    directories = [];
+
+    /**
+     * The bytes the redundant copies take in all.
+     * @type {number}
+     * @readonly
+     */
+    get wastedBytes() {
+        let total = 0;
+        for (const group of [...this.directories, ...this.files]) total += group.wastedBytes;
+        return total;
+    }
+
+    /**
+     * Renders the report for people: the groups, the largest waste first, with the copy to keep and the redundant ones.
+     * @param {"text"|"json"} [format="text"] - The output format.
+     * @param {{limit?: number}} [options] - `limit` is the maximum number of groups listed.
+     * @returns {string} The rendered report.
+     */
+    format(format = "text", options = {}) {
+        if (format === "json") return JSON.stringify(this, null, 2);
+        if (format !== "text") throw new Error(`Unsupported format: ${format}`);
+
+        const { limit = Infinity } = options;
+        const groups = [...this.directories, ...this.files];
+        const lines = [
+            `Duplicates in ${this.snapshots.length} snapshot(s): ${this.directories.length} directory group(s), ` +
+                `${this.files.length} file group(s), ${this.wastedBytes} bytes wasted`,
+        ];
+
+        for (const group of groups.slice(0, limit)) {
+            const [keep, ...redundant] = group.copies;
+            const content = group.type === "directory" ? `directory of ${group.files} file(s)` : "file";
+            lines.push("");
+            lines.push(`${group.wastedBytes} bytes wasted: ${group.copies.length} copies of a ${group.size} bytes ${content}`);
+            lines.push(`  keep ${keep.entry.absolutePath}`);
+            for (const copy of redundant) lines.push(`  dup  ${copy.entry.absolutePath}`);
+        }
+        if (groups.length > limit) {
+            lines.push("", `... and ${groups.length - limit} more group(s)`);
+        }
+
+        return lines.join("\n");
+    }
+
+    /**
+     * Converts the report into a JSON-serializable object, that tells for each group which copy to keep and which
+     * ones to replace with a hard link to it, or to remove.
+     * @returns {{snapshots: string[], wastedBytes: number, directories: DuplicateSummary[], files: DuplicateSummary[]}}
+     * The groups, with the absolute paths of their copies.
+     */
+    toJSON() {
+        return {
+            snapshots: this.snapshots,
+            wastedBytes: this.wastedBytes,
+            directories: this.directories.map(summarize),
+            files: this.files.map(summarize),
+        };
+    }
+}
+
+/**
+ * A group of duplicates as serialized by `DuplicateReport.toJSON`.
+ * @typedef {{type: "file"|"directory", hash: string, size: number, files: number, wastedBytes: number, keep: {snapshot: string, path: string}, duplicates: {snapshot: string, path: string}[]}} DuplicateSummary
+ */
+
+/**
+ * A file or directory that may have copies.
+ * @typedef {Object} Candidate
+ * @property {number} index - The index of its snapshot
+ * @property {string} machineId - The machine id of its snapshot
+ * @property {DuplicateCopy} copy - The entry
+ * @property {number} size - Its size, the total size of its files for a directory
+ * @property {number} files - Its number of files, 1 for a file
+ * @property {number} entries - The number of entries below it, 0 for a file
+ */
+
+/**
+ * Checks that the files of the snapshots can be told apart by hash.
+ * @param {Snapshot[]} snapshots - The opened snapshots.
+ * @throws {Error} If a snapshot was not hashed, or the snapshots were hashed with different algorithms.
+ */
+function checkAlgorithms(snapshots) {
+    for (const snapshot of snapshots) {
+        const { hashAlgorithm } = snapshot.header;
+        if (hashAlgorithm === "none") {
+            throw new Error(`Snapshot was not hashed: ${snapshot.path}`);
+        }
+        if (hashAlgorithm !== snapshots[0].header.hashAlgorithm) {
+            throw new Error(
+                "Snapshots were hashed with different algorithms: " +
+                    snapshots[0].header.hashAlgorithm +
+                    " vs " +
+                    hashAlgorithm
+            );
+        }
+    }
+}
+
+/**
+ * Counts the entries below each directory of a snapshot, at any depth.
+ * @param {Snapshot} snapshot - The opened snapshot.
+ * @returns {Map<string, number>} The counts by relative path of directory.
+ */
+function countEntriesBelow(snapshot) {
+    /** @type {Map<string, number>} */
+    const counts = new Map();
+    for (const entry of snapshot.walk()) {
+        let path = entry.relativePath;
+        for (let slash = path.lastIndexOf("/"); slash !== -1; slash = path.lastIndexOf("/")) {
+            path = path.slice(0, slash);
+            counts.set(path, (counts.get(path) ?? 0) + 1);
+        }
+    }
+    return counts;
+}
+
+/**
+ * Adds a candidate to the list of its key.
+ * @param {Map<string, Candidate[]>} map - The lists by key.
+ * @param {string} key - The key.
+ * @param {Candidate} candidate - The candidate.
+ */
+function addTo(map, key, candidate) {
+    const list = map.get(key);
+    if (list) {
+        list.push(candidate);
+    } else {
+        map.set(key, [candidate]);
+    }
+}
+
+/**
+ * Builds the group of a list of copies.
+ * @param {"file"|"directory"} type - The type of the copies.
+ * @param {Candidate[]} copies - The copies, at least two, the one to keep first.
+ * @returns {DuplicateGroup} The group.
+ */
+function toGroup(type, copies) {
+    const { size, files, copy } = copies[0];
+    return {
+        type,
+        hash: /** @type {string} */ (copy.entry.hash),
+        size,
+        files,
+        copies: copies.map((candidate) => candidate.copy),
+        wastedBytes: size * (copies.length - 1),
+    };
+}
+
+/**
+ * Orders groups by wasted bytes, the largest first.
+ * @param {DuplicateGroup} a - The first group.
+ * @param {DuplicateGroup} b - The second group.
+ * @returns {number} The order.
+ */
+function byWastedBytes(a, b) {
+    return b.wastedBytes - a.wastedBytes;
+}
+
+/**
+ * Serializes a group with the absolute paths of its copies.
+ * @param {DuplicateGroup} group - The group.
+ * @returns {DuplicateSummary} The serialized group.
+ */
+function summarize(group) {
+    const [keep, ...duplicates] = group.copies.map(({ snapshot, entry }) => ({ snapshot, path: entry.absolutePath }));
+    return {
+        type: group.type,
+        hash: group.hash,
+        size: group.size,
+        files: group.files,
+        wastedBytes: group.wastedBytes,
+        keep,
+        duplicates,
+    };
+}
@@ -1,29 +1,144 @@
 // @ts-check
 
+/**
+ * The kind of a file system entry. Everything that is not a directory, a symbolic link
+ * or a special file is a regular "file". An entry that could not even be stat'ed is "unknown", see `EntryError`.
+ * @typedef {"file"|"directory"|"symlink"|"fifo"|"socket"|"char-device"|"block-device"|"unknown"} EntryType
+ */
+
+/**
+ * Why an entry could not be read, recorded by tolerant snapshots instead of aborting the walk.
+ * @typedef {Object} EntryError
+ * @property {string} code - The error code, e.g. "EACCES" or "ENOENT"
+ * @property {number} errno - The (negative) error number
+ * @property {string} message - The error message
+ */
+
 export class FileEntry {
+    /**
+     * The path relative to the root directory of the snapshot. Set by `readSnapshot`, not stored in the file.
+     * @type {string}
+     */
+    relativePath;
+
+    /**
+     * The absolute path resolved against the root directory of the snapshot. Set by `readSnapshot`, not stored in the file.
+     * @type {string}
+     */
+    absolutePath;
+
     /**
      * Constructor for FileEntry
      *
-     * @param {string} path - the path to the file/directory
-     * @param {"file"|"directory"} type - the type of the entry
+     * @param {string} path - the path to the file/directory, absolute or relative to the root directory depending on the `pathMode` of the snapshot
+     * @param {EntryType} type - the type of the entry
      * @param {string} ctime - the creation time of the file in ISO format
      * @param {string} mtime - the modification time of the file in ISO format
      * @param {number} depth - the depth of the file/directory relative to the root directory
      * @param {number} [size] - the size of the file in bytes
-     * @param {string} [sha256] - the SHA-256 hash of the file, only for files
+     * @param {string} [hash] - the hash of the file computed with the `hashAlgorithm` of the snapshot, for files,
+     * or the Merkle-style hash of the contents of a directory
      */
-    constructor(path, type, ctime, mtime, depth, size, sha256) {
+    constructor(path, type, ctime, mtime, depth, size, hash) {
         this.path = path;
         this.type = type;
         this.size = size;
         this.ctime = ctime;
         this.mtime = mtime;
-        this.sha256 = sha256;
+        this.hash = hash;
         this.depth = depth;
+        /**
+         * The target of a symbolic link as returned by `readlink`, only for symlinks.
+         * @type {string|undefined}
+         */
+        this.target = undefined;
+        /**
+         * Whether the target of a symbolic link does not exist, only for symlinks.
+         * @type {boolean|undefined}
+         */
+        this.dangling = undefined;
+        /**
+         * The permission bits of the mode (`mode & 0o7777`), only with `captureStats`.
+         * @type {number|undefined}
+         */
+        this.mode = undefined;
+        /**
+         * The user id of the owner, only with `captureStats`.
+         * @type {number|undefined}
+         */
+        this.uid = undefined;
+        /**
+         * The group id of the owner, only with `captureStats`.
+         * @type {number|undefined}
+         */
+        this.gid = undefined;
+        /**
+         * The inode number, only with `captureStats`.
+         * @type {number|undefined}
+         */
+        this.ino = undefined;
+        /**
+         * The id of the device holding the entry, only with `captureStats`.
+         * @type {number|undefined}
+         */
+        this.dev = undefined;
+        /**
+         * The number of hard links to the entry, only with `captureStats`.
+         * @type {number|undefined}
+         */
+        this.nlink = undefined;
+        /**
+         * The creation time in ISO format, only with `captureStats`. The Unix epoch where the file system does not record it.
+         * @type {string|undefined}
+         */
+        this.birthtime = undefined;
+        /**
+         * Why the entry could not be read, only in tolerant snapshots. The fields that could not be read are missing,
+         * and the contents of a directory that could not be listed are not recorded.
+         * @type {EntryError|undefined}
+         */
+        this.error = undefined;
     }
 }
 
 export class Header {
+    /**
+     * The snapshot whose hashes were reused while creating this one, if any, and the number of file hashes copied
+     * from it instead of being recomputed.
+     * @type {{path: string, createdAt: string, paranoid: boolean, reusedHashes: number}|undefined}
+     */
+    baseSnapshot;
+
+    /**
+     * Whether the entries record their mode, ownership, inode, link count and birthtime.
+     * @type {boolean|undefined}
+     */
+    captureStats;
+
+    /**
+     * The content-addressable store the files were copied to, if any.
+     * @type {string|undefined}
+     */
+    blobStore;
+
+    /**
+     * The identifier of the key the snapshot was signed with, if it was signed.
+     * @type {string|undefined}
+     */
+    keyId;
+
+    /**
+     * The algorithm the snapshot was signed with, "ed25519" or "hmac-sha256", if it was signed.
+     * @type {string|undefined}
+     */
+    signatureAlgorithm;
+
+    /**
+     * The filters the snapshot was created with, if any.
+     * @type {{excludePaths: Array<string|{source: string, flags: string}>, include: string[], exclude: string[], ignoreFiles: string[]}|undefined}
+     */
+    patterns;
+
     /**
      * Constructs a new Header instance with the specified metadata.
      * 
@@ -32,21 +147,73 @@ export class Header {
      * @param {string} createdAt - The creation timestamp of the snapshot in ISO format.
      * @param {string} machineId - The identifier for the machine where the snapshot was created.
      * @param {string} rootPath - The root path of the directory being snapshotted.
+     * @param {"absolute"|"relative"} [pathMode="absolute"] - Whether the entry paths are absolute or relative to `rootPath`.
+     * @param {string} [hashAlgorithm="sha256"] - The `node:crypto` algorithm used to hash the files, or "none" if they were not hashed.
      */
-    constructor(version, type, createdAt, machineId, rootPath) {
+    constructor(version, type, createdAt, machineId, rootPath, pathMode = "absolute", hashAlgorithm = "sha256") {
         this.version = version;
         this.type = type;
         this.createdAt = createdAt;
         this.machineId = machineId;
         this.rootPath = rootPath;
+        this.pathMode = pathMode;
+        this.hashAlgorithm = hashAlgorithm;
+        /**
+         * Whether the entries are sorted by path, as compared by `comparePaths`.
+         * @type {boolean|undefined}
+         */
+        this.sorted = undefined;
     }
 }
 
 export class Footer {
+    /**
+     * The number of blobs added to the blob store.
+     * Only present if the snapshot was created with a blob store.
+     * @type {number|undefined}
+     */
+    storedBlobs;
+
+    /**
+     * The Merkle-style hash of the root directory, over the hashes of its children.
+     * Only present if the directories were hashed, see `createSnapshot`.
+     * @type {string|undefined}
+     */
+    rootHash;
+
+    /**
+     * The number of entries of the snapshot.
+     * @type {number|undefined}
+     */
+    entryCount;
+
+    /**
+     * The hexadecimal sha256 digest of every line before the footer, line breaks included.
+     * @type {string|undefined}
+     */
+    digest;
+
+    /**
+     * The base64 signature of every other field of the footer, with the key named in the `keyId` field of the header.
+     * The signed message is `dir-snapshot:sha256:` followed by the JSON array of the `[name, value]` pairs of the
+     * footer fields as recorded, `signature` excluded, sorted by name, e.g.
+     * `dir-snapshot:sha256:[["digest","…"],["entryCount",42],["rootHash","…"],["status","success"]]`.
+     * @type {string|undefined}
+     */
+    signature;
+
+    /**
+     * The number of entries that could not be read, recorded with an `error` field.
+     * Only present if the status is "partial".
+     * @type {number|undefined}
+     */
+    errors;
+
     /**
      * Constructs a new Footer instance with the specified status and message.
-     * @param {"success"|"error"} status - The status of the snapshot operation.
-     * @param {string} [message] - An optional message with additional information if the status is "error".
+     * @param {"success"|"partial"|"error"|"aborted"} status - The status of the snapshot operation, "partial" if entries
+     * could not be read by a tolerant snapshot, "aborted" if it was stopped through its `signal`.
+     * @param {string} [message] - An optional message with additional information if the status is "error" or "aborted".
      */
     constructor(status, message) {
         this.status = status;
@@ -0,0 +1,138 @@
+// @ts-check
+
+import { Worker } from "node:worker_threads";
+
+/**
+ * The code run by each worker. It is evaluated from a string rather than loaded from a file,
+ * so the pool keeps working once the library is bundled into a single file.
+ */
+const WORKER_SOURCE = `
+const { parentPort } = require("node:worker_threads");
+const { createHash } = require("node:crypto");
+const { createReadStream } = require("node:fs");
+
+parentPort.on("message", ({ id, filePath, algorithm }) => {
+    const hash = createHash(algorithm);
+    createReadStream(filePath)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("end", () => parentPort.postMessage({ id, hash: hash.digest("hex") }))
+        .on("error", (error) => parentPort.postMessage({ id, error: { message: error.message, code: error.code, errno: error.errno } }));
+});
+`;
+
+/**
+ * A pool of worker threads computing file hashes off the main thread.
+ * Each file is sent to the worker with the fewest pending files. A worker that crashes or exits rejects its
+ * pending files and is replaced, so the files sent afterwards are still hashed.
+ */
+export class HashPool {
+    /** @type {Array<{worker: Worker, pending: number}>} */
+    #workers = [];
+    /** @type {Map<number, {resolve: (hash: string) => void, reject: (error: Error) => void, slot: {worker: Worker, pending: number}}>} */
+    #requests = new Map();
+    #nextId = 0;
+    #closed = false;
+
+    /**
+     * Starts the workers of the pool.
+     * @param {number} size - The number of worker threads
+     */
+    constructor(size) {
+        for (let i = 0; i < size; i++) {
+            const slot = { worker: new Worker(WORKER_SOURCE, { eval: true }), pending: 0 };
+            this.#listen(slot);
+            this.#workers.push(slot);
+        }
+    }
+
+    /**
+     * Computes the hash of a file in one of the workers.
+     * @param {string} filePath - The path to the file
+     * @param {string} [algorithm="sha256"] - The `node:crypto` hash algorithm
+     * @returns {Promise<string>} A promise that resolves with the hexadecimal string of the file's hash
+     */
+    hash(filePath, algorithm = "sha256") {
+        const slot = this.#workers.reduce((a, b) => (b.pending < a.pending ? b : a));
+        const id = this.#nextId++;
+
+        return new Promise((resolve, reject) => {
+            this.#requests.set(id, { resolve, reject, slot });
+            slot.pending++;
+            slot.worker.postMessage({ id, filePath, algorithm });
+        });
+    }
+
+    /**
+     * Stops all the workers of the pool.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.#closed = true;
+        await Promise.all(this.#workers.map(({ worker }) => worker.terminate()));
+        this.#workers = [];
+    }
+
+    /**
+     * Listens to the worker of a slot of the pool.
+     * @param {{worker: Worker, pending: number}} slot
+     */
+    #listen(slot) {
+        const { worker } = slot;
+        worker.on("message", (message) => this.#settle(message));
+        worker.on("error", (error) => this.#replace(slot, worker, error));
+        worker.on("exit", (code) => this.#replace(slot, worker, new Error(`Hash worker exited with code ${code}.`)));
+    }
+
+    /**
+     * Rejects the pending requests of a worker that crashed or exited, and starts another one in its slot.
+     * @param {{worker: Worker, pending: number}} slot
+     * @param {Worker} worker - The worker that stopped.
+     * @param {Error} error - Why it stopped.
+     */
+    #replace(slot, worker, error) {
+        // an "exit" follows the "error" of the same worker, which was already replaced
+        if (slot.worker !== worker) return;
+
+        this.#failAll(slot, error);
+        if (this.#closed) return;
+
+        worker.terminate().catch(() => {});
+        slot.worker = new Worker(WORKER_SOURCE, { eval: true });
+        this.#listen(slot);
+    }
+
+    /**
+     * Resolves or rejects the request a worker answered.
+     * @param {{id: number, hash?: string, error?: {message: string, code?: string, errno?: number}}} message
+     */
+    #settle(message) {
+        const request = this.#requests.get(message.id);
+        if (!request) return;
+
+        this.#requests.delete(message.id);
+        request.slot.pending--;
+
+        if (message.error) {
+            const error = new Error(message.error.message);
+            /** @type {any} */ (error).code = message.error.code;
+            /** @type {any} */ (error).errno = message.error.errno;
+            request.reject(error);
+        } else {
+            request.resolve(/** @type {string} */ (message.hash));
+        }
+    }
+
+    /**
+     * Rejects all the pending requests of a worker that crashed.
+     * @param {{worker: Worker, pending: number}} slot
+     * @param {Error} error
+     */
+    #failAll(slot, error) {
+        for (const [id, request] of this.#requests) {
+            if (request.slot !== slot) continue;
+            this.#requests.delete(id);
+            request.reject(error);
+        }
+        slot.pending = 0;
+    }
+}
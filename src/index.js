@@ -1,7 +1,24 @@
 // @ts-check
 
-export { validateSnapshot } from "./snapshot_validator.js";
+export { validateSnapshot, diagnoseSnapshot } from "./snapshot_validator.js";
 export { createSnapshot } from "./snapshot_creator.js";
+export { readSnapshotHeader, readSnapshotFooter } from "./snapshot_reader.js";
 export { generateSnapshotName } from "./tools.js";
 export { Snapshot} from "./snapshot.js";
-export { compareSnapshots } from "./snapshot_comparator.js";
\ No newline at end of file
+export { compareSnapshots, isSameTree } from "./snapshot_comparator.js";
+export { verifyDirectory } from "./directory_verifier.js";
+export { compareSnapshotsStreaming } from "./snapshot_stream_comparator.js";
+export { Report } from "./report.js";
+export {
+    formatReport,
+    formatText,
+    formatMarkdown,
+    formatHtml,
+    formatJUnit,
+} from "./report_formatter.js";
+export { restoreSnapshot, collectGarbage, blobPath } from "./blob_store.js";
+export { createSyncPlan, applySyncPlan, rollbackSyncPlan } from "./sync_plan.js";
+export { watchDirectory, DirectoryWatcher } from "./directory_watcher.js";
+export { findDuplicates, DuplicateReport } from "./duplicate_finder.js";
+export { SnapshotRepository } from "./snapshot_repository.js";
+export { sortSnapshot, comparePaths } from "./snapshot_sorter.js";
\ No newline at end of file
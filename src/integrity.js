@@ -0,0 +1,91 @@
+// @ts-check
+
+import { createHash, createHmac, sign, timingSafeEqual, verify } from "node:crypto";
+import { createReadStream } from "node:fs";
+
+/** The `node:crypto` algorithm of the digest recorded in the footer. */
+export const DIGEST_ALGORITHM = "sha256";
+
+/** The algorithms snapshots can be signed with. */
+export const SIGNATURE_ALGORITHMS = ["ed25519", "hmac-sha256"];
+
+/**
+ * How a snapshot is signed.
+ * @typedef {Object} SigningOptions
+ * @property {string} keyId - The identifier of the key, recorded in the header so the verifier can pick the key
+ * @property {"ed25519"|"hmac-sha256"} [algorithm="ed25519"] - The signature algorithm
+ * @property {import("node:crypto").KeyLike} key - The Ed25519 private key (a `KeyObject` or a PEM string),
+ * or the HMAC secret
+ */
+
+/**
+ * Computes the digest and counts the entries of a snapshot file written up to, but without, its footer.
+ * @param {string} filePath - The snapshot file, a header line followed by entry lines.
+ * @returns {Promise<{entryCount: number, digest: string}>} A promise that resolves with the number of entry
+ * lines and the hexadecimal digest of the content of the file.
+ */
+export async function digestFile(filePath) {
+    const hash = createHash(DIGEST_ALGORITHM);
+    let lines = 0;
+
+    for await (const chunk of createReadStream(filePath)) {
+        hash.update(chunk);
+        for (const byte of chunk) {
+            if (byte === 0x0a) lines++;
+        }
+    }
+
+    return { entryCount: Math.max(0, lines - 1), digest: hash.digest("hex") };
+}
+
+/**
+ * Signs the footer of a snapshot: every field but `signature`, so its status, root hash and counts as well as its
+ * entry count and digest. As the digest covers the header and every entry, so does the signature.
+ * @param {SigningOptions} signing - The key and algorithm.
+ * @param {Record<string, any>} footer - The footer, with its `entryCount` and `digest`.
+ * @returns {string} The base64 signature.
+ */
+export function signFooter(signing, footer) {
+    const message = signedMessage(footer);
+
+    if (signing.algorithm === "hmac-sha256") {
+        return createHmac("sha256", /** @type {any} */ (signing.key)).update(message).digest("base64");
+    }
+    return sign(null, message, /** @type {any} */ (signing.key)).toString("base64");
+}
+
+/**
+ * Checks the signature of the footer of a snapshot, see `signFooter`.
+ * @param {string} algorithm - The signature algorithm recorded in the header.
+ * @param {import("node:crypto").KeyLike} key - The Ed25519 public key, or the HMAC secret.
+ * @param {Record<string, any>} footer - The footer as recorded, with its `signature`.
+ * @returns {boolean} True if the signature is valid.
+ * @throws {Error} If the algorithm is unknown.
+ */
+export function verifyFooter(algorithm, key, footer) {
+    const message = signedMessage(footer);
+    const actual = Buffer.from(footer.signature, "base64");
+
+    if (algorithm === "hmac-sha256") {
+        const expected = createHmac("sha256", /** @type {any} */ (key)).update(message).digest();
+        return expected.length === actual.length && timingSafeEqual(expected, actual);
+    }
+    if (algorithm === "ed25519") {
+        return verify(null, message, /** @type {any} */ (key), actual);
+    }
+    throw new Error(`Unsupported signature algorithm: ${algorithm}`);
+}
+
+/**
+ * Returns the message a signature covers: the canonical JSON of the footer without its signature, its fields
+ * sorted by name, so that editing any of them invalidates the signature.
+ * @param {Record<string, any>} footer - The footer.
+ * @returns {Buffer} The message.
+ */
+function signedMessage(footer) {
+    const fields = Object.keys(footer)
+        .filter((field) => field !== "signature")
+        .sort()
+        .map((field) => [field, footer[field]]);
+    return Buffer.from(`dir-snapshot:${DIGEST_ALGORITHM}:${JSON.stringify(fields)}`, "utf-8");
+}
@@ -0,0 +1,162 @@
+// @ts-check
+
+/**
+ * A compiled gitignore-style pattern.
+ * @typedef {Object} PatternRule
+ * @property {string} pattern - The pattern as it was written
+ * @property {RegExp} regex - The expression the path relative to `base` is tested against
+ * @property {boolean} negated - Whether the pattern starts with "!" and re-includes what an earlier pattern matched
+ * @property {boolean} directoryOnly - Whether the pattern ends with "/" and only matches directories
+ * @property {string} base - The directory the pattern is scoped to, relative to the root directory ("" for the root)
+ */
+
+/**
+ * Converts a glob into the source of a regular expression.
+ * `*` and `?` never match "/", `**` matches any number of path segments and `[...]` is a character class.
+ *
+ * @param {string} glob - The glob to be converted
+ * @returns {string} The source of the regular expression, without anchors
+ */
+export function globToRegExpSource(glob) {
+    let source = "";
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === "*") {
+            if (glob[i + 1] === "*") {
+                const atSegmentStart = i === 0 || glob[i - 1] === "/";
+                if (atSegmentStart && glob[i + 2] === "/") {
+                    // "**/" matches zero or more directories
+                    source += "(?:.*/)?";
+                    i += 2;
+                    continue;
+                }
+                if (atSegmentStart && i + 2 === glob.length) {
+                    // a trailing "**" matches everything inside
+                    source += ".*";
+                    i += 1;
+                    continue;
+                }
+                i += 1;
+            }
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "[") {
+            const end = glob.indexOf("]", i + 2);
+            if (end === -1) {
+                source += "\\[";
+                continue;
+            }
+            let range = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+            if (range[0] === "!") range = "^" + range.slice(1);
+            source += `[${range}]`;
+            i = end;
+        } else if (char === "\\" && i + 1 < glob.length) {
+            source += escapeRegExp(glob[i + 1]);
+            i += 1;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Compiles a single gitignore-style pattern.
+ * A pattern without a slash matches at any depth below `base`, a pattern with a slash is anchored to `base`.
+ *
+ * @param {string} pattern - The pattern, e.g. `**\/node_modules`, `*.log`, `/build/` or `!keep.log`
+ * @param {string} [base=""] - The directory the pattern is scoped to, relative to the root directory
+ * @returns {PatternRule|null} The compiled rule, or null for blank lines and comments
+ */
+export function compilePattern(pattern, base = "") {
+    let body = pattern.replace(/(?<!\\)\s+$/, "");
+    if (body === "" || body.startsWith("#")) return null;
+
+    let negated = false;
+    if (body.startsWith("!")) {
+        negated = true;
+        body = body.slice(1);
+    } else if (body.startsWith("\\!") || body.startsWith("\\#")) {
+        body = body.slice(1);
+    }
+
+    let directoryOnly = false;
+    if (body.endsWith("/")) {
+        directoryOnly = true;
+        body = body.slice(0, -1);
+    }
+
+    if (body === "") return null;
+
+    const anchored = body.includes("/");
+    if (body.startsWith("/")) body = body.slice(1);
+
+    const source = globToRegExpSource(body);
+    const regex = new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+
+    return { pattern, regex, negated, directoryOnly, base };
+}
+
+/**
+ * Compiles a list of patterns, skipping blank lines and comments.
+ * @param {string[]} patterns - The patterns to be compiled
+ * @param {string} [base=""] - The directory the patterns are scoped to, relative to the root directory
+ * @returns {PatternRule[]} The compiled rules, in the same order
+ */
+export function compilePatterns(patterns, base = "") {
+    /** @type {PatternRule[]} */
+    const rules = [];
+    for (const pattern of patterns) {
+        const rule = compilePattern(pattern, base);
+        if (rule) rules.push(rule);
+    }
+    return rules;
+}
+
+/**
+ * Parses the content of a `.gitignore`-like file.
+ * @param {string} content - The content of the file
+ * @param {string} base - The directory containing the file, relative to the root directory
+ * @returns {PatternRule[]} The compiled rules
+ */
+export function parseIgnoreFile(content, base) {
+    return compilePatterns(content.split(/\r?\n/), base);
+}
+
+/**
+ * Tests a path against a list of rules. As in git, the last matching rule wins.
+ *
+ * @param {PatternRule[]} rules - The rules to be tested, in order of increasing precedence
+ * @param {string} relativePath - The path relative to the root directory, with "/" separators
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean|undefined} True if the last matching rule is a normal pattern, false if it is a negated one,
+ * undefined if no rule matches
+ */
+export function matchRules(rules, relativePath, isDirectory) {
+    for (let i = rules.length - 1; i >= 0; i--) {
+        const rule = rules[i];
+        if (rule.directoryOnly && !isDirectory) continue;
+
+        let path = relativePath;
+        if (rule.base) {
+            if (!relativePath.startsWith(rule.base + "/")) continue;
+            path = relativePath.slice(rule.base.length + 1);
+        }
+
+        if (rule.regex.test(path)) return !rule.negated;
+    }
+    return undefined;
+}
+
+/**
+ * Escapes a string so it can be used literally in a regular expression.
+ * @param {string} string - The string to be escaped
+ * @returns {string} The escaped string
+ */
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
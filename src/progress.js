@@ -0,0 +1,63 @@
+// @ts-check
+
+/**
+ * The progress of a long operation, as passed to `onProgress`.
+ * @typedef {Object} Progress
+ * @property {number} directories - The number of directories entered, 0 unless a tree is walked
+ * @property {number} files - The number of files hashed, those whose hash was reused or shared by a hard link not included
+ * @property {number} bytes - The number of bytes hashed
+ * @property {number} entries - The number of entries written, compared or checked so far
+ * @property {string} currentPath - The relative path of the entry being handled
+ * @property {boolean} done - Whether the operation is over, completed, failed or aborted. Always true in the last report
+ */
+
+/**
+ * Progress and cancellation options of `createSnapshot`, `compareSnapshots` and `validateSnapshot`.
+ * @typedef {Object} ProgressOptions
+ * @property {(progress: Progress) => void} [onProgress] - Receives the progress of the operation, at most once
+ * per `progressInterval`, and once more when it is over
+ * @property {number} [progressInterval=1000] - The minimum number of milliseconds between two reports
+ * @property {AbortSignal} [signal] - Stops the operation when aborted
+ */
+
+/**
+ * Counts the work done by an operation and reports it, throttled, to an `onProgress` callback.
+ */
+export class ProgressReporter {
+    /** @type {Progress} */
+    progress = { directories: 0, files: 0, bytes: 0, entries: 0, currentPath: "", done: false };
+
+    /** @type {((progress: Progress) => void)|undefined} */
+    #onProgress;
+    /** @type {number} */
+    #interval;
+    #lastReport = 0;
+
+    /**
+     * @param {ProgressOptions} [options] - The callback and the minimum interval between two reports.
+     */
+    constructor(options = {}) {
+        this.#onProgress = options.onProgress;
+        this.#interval = options.progressInterval ?? 1000;
+    }
+
+    /**
+     * Reports the progress, unless the previous report is more recent than the interval.
+     */
+    report() {
+        if (!this.#onProgress) return;
+
+        const now = Date.now();
+        if (now - this.#lastReport < this.#interval) return;
+        this.#lastReport = now;
+        this.#onProgress({ ...this.progress });
+    }
+
+    /**
+     * Reports the progress a last time, with `done` set.
+     */
+    finish() {
+        this.progress.done = true;
+        this.#onProgress?.({ ...this.progress });
+    }
+}
@@ -0,0 +1,172 @@
+// @ts-check
+
+import { FileEntry } from "./fileentry.js";
+import { formatReport } from "./report_formatter.js";
+
+export class Report {
+    /** @type {FileEntry[]} */
+    added = [];
+    /** @type {FileEntry[]} */
+    deleted = [];
+    /** @type {{src: FileEntry, dst: FileEntry}[]} */
+    moved = [];
+    /**
+     * Added files whose content still exists, unchanged, at `src`.
+     * Null if copies were not detected, see `compareSnapshotsStreaming`.
+     * @type {{src: FileEntry, dst: FileEntry}[]|null}
+     */
+    copied = [];
+    /**
+     * Directories whose subtree moved as a whole, with the similarity of the two subtrees (1 if identical).
+     * Null if moved directories were not detected, see `compareSnapshotsStreaming`.
+     * @type {{src: FileEntry, dst: FileEntry, similarity: number}[]|null}
+     */
+    movedDirectories = [];
+    /** @type {{oldValue: FileEntry, newValue: FileEntry}[]} */
+    metaDataChanged = [];
+    /** @type {{oldValue: FileEntry, newValue: FileEntry}[]} */
+    contentChanged = [];
+    /** @type {{oldValue: FileEntry, newValue: FileEntry}[]} */
+    retargeted = [];
+    /**
+     * Entries whose permission bits changed, when both snapshots recorded them.
+     * @type {{oldValue: FileEntry, newValue: FileEntry}[]}
+     */
+    permissionsChanged = [];
+    /**
+     * Entries whose owner or group changed, when both snapshots recorded them.
+     * @type {{oldValue: FileEntry, newValue: FileEntry}[]}
+     */
+    ownershipChanged = [];
+    /**
+     * Entries that could not be read by a tolerant snapshot, from the newer snapshot where both have one. The entries
+     * at these paths, and inside these directories, are not compared, so they are neither added nor deleted.
+     * @type {FileEntry[]}
+     */
+    errored = [];
+    period = {
+        start: "",
+        end: "",
+    };
+    /**
+     * How the content of files was compared: by "hash", or by size and mtime ("metadata")
+     * when the snapshots were not hashed with the same algorithm.
+     * @type {"hash"|"metadata"}
+     */
+    contentComparedBy = "hash";
+    /**
+     * False if the comparison stopped at the first mismatch, in which case the lists are not exhaustive.
+     * @type {boolean}
+     */
+    complete = true;
+    /**
+     * How files with the same content were paired as moves and copies: by name and path "similarity",
+     * or in path "order". Null if moves were not detected.
+     * @type {"similarity"|"order"|null}
+     */
+    moveTieBreaker = null;
+    /**
+     * Whether the two trees hold the same names, types and contents, as told by their root hashes.
+     * Null if a snapshot has no root hash or the contents were not compared by hash.
+     * @type {boolean|null}
+     */
+    identical = null;
+
+    /**
+     * Renders the report for people, see `formatReport`.
+     * @param {"text"|"markdown"|"html"|"junit"|"json"} [format="text"] - The output format.
+     * @param {import("./report_formatter.js").FormatOptions} [options] - Truncation limit, relative or absolute paths, colors and title.
+     * @returns {string} The rendered report.
+     */
+    format(format = "text", options = {}) {
+        return formatReport(this, format, options);
+    }
+
+    /**
+     * Counts the changes of the report, a moved directory counting as one change.
+     * @returns {number} The number of changes, 0 if the two states are the same.
+     */
+    countChanges() {
+        return (
+            this.added.length +
+            this.deleted.length +
+            this.moved.length +
+            (this.copied?.length ?? 0) +
+            (this.movedDirectories?.length ?? 0) +
+            this.contentChanged.length +
+            this.metaDataChanged.length +
+            this.retargeted.length +
+            this.permissionsChanged.length +
+            this.ownershipChanged.length +
+            this.errored.length
+        );
+    }
+
+    /**
+     * Counts the changes inside each directory, at any depth. A move counts in the directories of both its
+     * source and its destination, once in those containing both.
+     * @returns {Map<string, number>} The number of changes by relative path of directory, "" for the root
+     * directory. Directories without changes are left out.
+     */
+    countChangesByDirectory() {
+        /** @type {Map<string, number>} */
+        const counts = new Map();
+
+        /** @param {...FileEntry} entries - The entries of a single change. */
+        const count = (...entries) => {
+            /** @type {Set<string>} */
+            const directories = new Set([""]);
+            for (const entry of entries) {
+                const segments = entry.relativePath.split("/");
+                for (let i = 1; i < segments.length; i++) {
+                    directories.add(segments.slice(0, i).join("/"));
+                }
+            }
+            for (const directory of directories) {
+                counts.set(directory, (counts.get(directory) ?? 0) + 1);
+            }
+        };
+
+        for (const entry of this.added) count(entry);
+        for (const entry of this.deleted) count(entry);
+        for (const { src, dst } of this.moved) count(src, dst);
+        for (const { src, dst } of this.movedDirectories ?? []) count(src, dst);
+        for (const { dst } of this.copied ?? []) count(dst);
+        for (const { newValue } of this.metaDataChanged) count(newValue);
+        for (const { newValue } of this.contentChanged) count(newValue);
+        for (const { newValue } of this.retargeted) count(newValue);
+        for (const { newValue } of this.permissionsChanged) count(newValue);
+        for (const { newValue } of this.ownershipChanged) count(newValue);
+        for (const entry of this.errored) count(entry);
+
+        return counts;
+    }
+
+    /**
+     * Converts the report object into a JSON-serializable format.
+     *
+     * @returns {{period:{start:string, end:string}, contentComparedBy:"hash"|"metadata", complete:boolean, moveTieBreaker:"similarity"|"order"|null, identical:boolean|null, added:FileEntry[], metaDataChanged:{oldValue:FileEntry, newValue:FileEntry}[], contentChanged:{oldValue:FileEntry, newValue:FileEntry}[], retargeted:{oldValue:FileEntry, newValue:FileEntry}[], permissionsChanged:{oldValue:FileEntry, newValue:FileEntry}[], ownershipChanged:{oldValue:FileEntry, newValue:FileEntry}[], errored:FileEntry[], moved:{src:FileEntry, dst:FileEntry}[], copied:{src:FileEntry, dst:FileEntry}[]|null, movedDirectories:{src:FileEntry, dst:FileEntry, similarity:number}[]|null, deleted:FileEntry[]}} An object containing the report details, such as the creation date,
+     *                   lists of added, deleted, moved, metadata changed, content changed, retargeted symlink,
+     *                   permissions changed, ownership changed and errored entries.
+     */
+    toJSON() {
+        return {
+            period: this.period,
+            contentComparedBy: this.contentComparedBy,
+            complete: this.complete,
+            moveTieBreaker: this.moveTieBreaker,
+            identical: this.identical,
+            added: this.added,
+            metaDataChanged: this.metaDataChanged,
+            contentChanged: this.contentChanged,
+            retargeted: this.retargeted,
+            permissionsChanged: this.permissionsChanged,
+            ownershipChanged: this.ownershipChanged,
+            errored: this.errored,
+            moved: this.moved,
+            copied: this.copied,
+            movedDirectories: this.movedDirectories,
+            deleted: this.deleted,
+        };
+    }
+}
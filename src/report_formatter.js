@@ -0,0 +1,478 @@
+// @ts-check
+
+import { FileEntry } from "./fileentry.js";
+import { comparePaths } from "./snapshot_sorter.js";
+
+/**
+ * The categories of a report, in the order they are listed in summaries.
+ * @type {Array<{key: "added"|"deleted"|"movedDirectories"|"moved"|"copied"|"contentChanged"|"metaDataChanged"|"retargeted"|"permissionsChanged"|"ownershipChanged"|"errored", label: string, marker: string, color: string}>}
+ */
+const CATEGORIES = [
+    { key: "added", label: "Added", marker: "+", color: "\x1b[32m" },
+    { key: "deleted", label: "Deleted", marker: "-", color: "\x1b[31m" },
+    { key: "movedDirectories", label: "Moved directories", marker: "→", color: "\x1b[36m" },
+    { key: "moved", label: "Moved", marker: "→", color: "\x1b[36m" },
+    { key: "copied", label: "Copied", marker: "+", color: "\x1b[32m" },
+    { key: "contentChanged", label: "Content changed", marker: "~", color: "\x1b[33m" },
+    { key: "metaDataChanged", label: "Metadata changed", marker: "~", color: "\x1b[33m" },
+    { key: "retargeted", label: "Retargeted", marker: "~", color: "\x1b[35m" },
+    { key: "permissionsChanged", label: "Permissions changed", marker: "~", color: "\x1b[35m" },
+    { key: "ownershipChanged", label: "Ownership changed", marker: "~", color: "\x1b[35m" },
+    { key: "errored", label: "Unreadable", marker: "!", color: "\x1b[31m" },
+];
+
+const RESET = "\x1b[0m";
+
+/**
+ * Options of the report formatters.
+ * @typedef {Object} FormatOptions
+ * @property {number} [limit] - Maximum number of changes listed, the others are only counted. Unlimited by default.
+ * @property {"relative"|"absolute"} [paths] - Whether paths are shown relative to the root directory (the default) or absolute
+ * @property {boolean} [color] - Whether the text output is colorized with ANSI escape codes (text format only)
+ * @property {string} [title] - Title of the Markdown and HTML outputs, and name of the JUnit test suite
+ */
+
+/**
+ * A single changed path, as listed by the formatters.
+ * @typedef {Object} ChangeLine
+ * @property {typeof CATEGORIES[number]} category - The category of the change
+ * @property {string} path - The path, relative or absolute
+ * @property {boolean} isDirectory - Whether the path is a directory
+ * @property {string} detail - The source of a move, the targets of a symlink, the old and new modes or owners, or the
+ * error code of an unreadable entry, empty for the other categories
+ */
+
+/**
+ * Renders a report in the given format.
+ * @param {import("./report.js").Report} report - The report to render.
+ * @param {"text"|"markdown"|"html"|"junit"|"json"} format - The output format.
+ * @param {FormatOptions} [options] - Formatting options.
+ * @returns {string} The rendered report.
+ */
+export function formatReport(report, format, options = {}) {
+    switch (format) {
+        case "text":
+            return formatText(report, options);
+        case "markdown":
+            return formatMarkdown(report, options);
+        case "html":
+            return formatHtml(report, options);
+        case "junit":
+            return formatJUnit(report, options);
+        case "json":
+            return JSON.stringify(report, null, 2);
+        default:
+            throw new Error(`Unknown report format: ${format}`);
+    }
+}
+
+/**
+ * Renders a report as a tree of the changed paths, each marked with `+` (added), `-` (deleted),
+ * `→` (moved, under its new path), `~` (changed) or `!` (unreadable), copies being marked as added. A summary line follows.
+ * @param {import("./report.js").Report} report - The report to render.
+ * @param {FormatOptions} [options] - Formatting options.
+ * @returns {string} The rendered report.
+ */
+export function formatText(report, options = {}) {
+    const { color = false } = options;
+    const { shown, hidden, total } = listChanges(report, options);
+
+    /** @typedef {{children: Map<string, TreeNode>, changes: ChangeLine[]}} TreeNode */
+    /** @type {TreeNode} */
+    const root = { children: new Map(), changes: [] };
+
+    for (const change of shown) {
+        let node = root;
+        for (const segment of splitPath(change.path)) {
+            let child = node.children.get(segment);
+            if (!child) {
+                child = { children: new Map(), changes: [] };
+                node.children.set(segment, child);
+            }
+            node = child;
+        }
+        node.changes.push(change);
+    }
+
+    /** @type {string[]} */
+    const lines = [];
+
+    /**
+     * @param {TreeNode} node
+     * @param {string} indent
+     */
+    const render = (node, indent) => {
+        const names = [...node.children.keys()].sort(comparePaths);
+        for (let name of names) {
+            let child = /** @type {TreeNode} */ (node.children.get(name));
+
+            // directories without changes of their own and a single child are shown on one line
+            while (child.changes.length === 0 && child.children.size === 1) {
+                const [[childName, grandChild]] = child.children;
+                name = `${name}/${childName}`;
+                child = grandChild;
+            }
+
+            if (child.changes.length === 0) {
+                lines.push(`${indent}${name}/`);
+            }
+            for (const change of child.changes) {
+                const { key, marker, color: code } = change.category;
+                const text = `${marker} ${change.isDirectory ? `${name}/` : name}`;
+                const detail = change.detail
+                    ? ` (${change.detail})`
+                    : key === "contentChanged"
+                      ? " (content)"
+                      : key === "metaDataChanged"
+                        ? " (metadata)"
+                        : "";
+                lines.push(`${indent}${color ? `${code}${text}${RESET}` : text}${detail}`);
+            }
+            render(child, `${indent}  `);
+        }
+    };
+    render(root, "");
+
+    if (hidden) lines.push(`… and ${hidden} more change(s)`);
+    lines.push(summarize(report, total));
+
+    return lines.join("\n");
+}
+
+/**
+ * Renders a report as Markdown: a table of the counts per category followed by a table of the changed paths,
+ * e.g. for a pull request comment.
+ * @param {import("./report.js").Report} report - The report to render.
+ * @param {FormatOptions} [options] - Formatting options.
+ * @returns {string} The rendered report.
+ */
+export function formatMarkdown(report, options = {}) {
+    const { title = "Snapshot comparison" } = options;
+    const { shown, hidden, total } = listChanges(report, options);
+
+    const lines = [
+        `## ${title}`,
+        "",
+        `${report.period.start} → ${report.period.end}`,
+        "",
+        "| Change | Count |",
+        "| --- | ---: |",
+        ...CATEGORIES.map(({ key, label }) => `| ${label} | ${countOf(report, key)} |`),
+        `| **Total** | **${total}** |`,
+    ];
+
+    if (!report.complete) {
+        lines.push("", "_Stopped at the first difference, the report is not exhaustive._");
+    }
+
+    if (shown.length) {
+        lines.push("", "| Change | Path | Details |", "| --- | --- | --- |");
+        for (const change of shown) {
+            lines.push(
+                `| ${change.category.label} | ${escapeMarkdown(displayPath(change))} | ${escapeMarkdown(change.detail)} |`
+            );
+        }
+    }
+
+    if (hidden) lines.push("", `… and ${hidden} more change(s).`);
+
+    return lines.join("\n");
+}
+
+/**
+ * Renders a report as a standalone HTML page.
+ * @param {import("./report.js").Report} report - The report to render.
+ * @param {FormatOptions} [options] - Formatting options.
+ * @returns {string} The rendered report.
+ */
+export function formatHtml(report, options = {}) {
+    const { title = "Snapshot comparison" } = options;
+    const { shown, hidden, total } = listChanges(report, options);
+
+    const counts = CATEGORIES.map(
+        ({ key, label }) => `<tr><td>${label}</td><td>${countOf(report, key)}</td></tr>`
+    ).join("\n");
+
+    const rows = shown
+        .map(
+            (change) =>
+                `<tr class="${change.category.key}"><td>${change.category.label}</td>` +
+                `<td>${escapeXml(displayPath(change))}</td><td>${escapeXml(change.detail)}</td></tr>`
+        )
+        .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+td, th { border: 1px solid #ccc; padding: 0.25em 0.75em; text-align: left; }
+td:nth-child(2) { font-family: monospace; }
+.added, .copied { background: #e6ffec; }
+.deleted, .errored { background: #ffebe9; }
+.moved, .movedDirectories { background: #ddf4ff; }
+.contentChanged, .metaDataChanged, .permissionsChanged, .ownershipChanged { background: #fff8c5; }
+.retargeted { background: #fbefff; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+<p>${escapeXml(report.period.start)} → ${escapeXml(report.period.end)}</p>
+${report.complete ? "" : "<p><em>Stopped at the first difference, the report is not exhaustive.</em></p>\n"}<table>
+<tr><th>Change</th><th>Count</th></tr>
+${counts}
+<tr><th>Total</th><th>${total}</th></tr>
+</table>
+${
+    shown.length
+        ? `<table>
+<tr><th>Change</th><th>Path</th><th>Details</th></tr>
+${rows}
+</table>
+`
+        : ""
+}${hidden ? `<p>… and ${hidden} more change(s).</p>\n` : ""}</body>
+</html>
+`;
+}
+
+/**
+ * Renders a report as JUnit XML, where each changed path is a failing test case, so CI servers
+ * list the changes as test failures. A report without changes has a single passing test case.
+ * @param {import("./report.js").Report} report - The report to render.
+ * @param {FormatOptions} [options] - Formatting options.
+ * @returns {string} The rendered report.
+ */
+export function formatJUnit(report, options = {}) {
+    const { title = "dir-snapshot" } = options;
+    const { shown, hidden, total } = listChanges(report, options);
+
+    const cases = shown.map((change) => {
+        const message = change.detail
+            ? `${change.category.label}: ${change.detail}`
+            : change.category.label;
+        return (
+            `    <testcase classname="${escapeXml(change.category.key)}" name="${escapeXml(displayPath(change))}">\n` +
+            `      <failure type="${escapeXml(change.category.key)}" message="${escapeXml(message)}"/>\n` +
+            "    </testcase>"
+        );
+    });
+
+    if (hidden) {
+        cases.push(
+            `    <testcase classname="truncated" name="${hidden} more change(s)">\n` +
+                `      <failure type="truncated" message="${hidden} more change(s) not listed"/>\n` +
+                "    </testcase>"
+        );
+    }
+    if (total === 0) {
+        cases.push('    <testcase classname="unchanged" name="no changes"/>');
+    }
+
+    const tests = cases.length;
+    const failures = total === 0 ? 0 : tests;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites tests="${tests}" failures="${failures}">
+  <testsuite name="${escapeXml(title)}" tests="${tests}" failures="${failures}" timestamp="${escapeXml(report.period.end)}">
+${cases.join("\n")}
+  </testsuite>
+</testsuites>
+`;
+}
+
+/**
+ * Lists the changes of a report sorted by path, up to the limit.
+ * @param {import("./report.js").Report} report - The report.
+ * @param {FormatOptions} options - Formatting options.
+ * @returns {{shown: ChangeLine[], hidden: number, total: number}} The listed changes, and the numbers of the others and of all.
+ */
+function listChanges(report, options) {
+    const { limit = Infinity, paths = "relative" } = options;
+
+    /** @param {FileEntry} entry */
+    const pathOf = (entry) => (paths === "absolute" ? entry.absolutePath : entry.relativePath) ?? entry.path;
+    /** @param {FileEntry} entry */
+    const isDirectory = (entry) => entry.type === "directory";
+
+    /** @type {ChangeLine[]} */
+    const changes = [];
+    for (const category of CATEGORIES) {
+        switch (category.key) {
+            case "added":
+            case "deleted":
+                for (const entry of report[category.key]) {
+                    changes.push({ category, path: pathOf(entry), isDirectory: isDirectory(entry), detail: "" });
+                }
+                break;
+            case "errored":
+                for (const entry of report.errored) {
+                    changes.push({
+                        category,
+                        path: pathOf(entry),
+                        isDirectory: isDirectory(entry),
+                        detail: entry.error?.code ?? "",
+                    });
+                }
+                break;
+            case "movedDirectories":
+                for (const { src, dst, similarity } of report.movedDirectories ?? []) {
+                    const partial = similarity < 1 ? `, ${Math.round(similarity * 100)}% similar` : "";
+                    changes.push({
+                        category,
+                        path: pathOf(dst),
+                        isDirectory: true,
+                        detail: `from ${pathOf(src)}${partial}`,
+                    });
+                }
+                break;
+            case "moved":
+                for (const { src, dst } of report.moved) {
+                    changes.push({
+                        category,
+                        path: pathOf(dst),
+                        isDirectory: isDirectory(dst),
+                        detail: `from ${pathOf(src)}`,
+                    });
+                }
+                break;
+            case "copied":
+                for (const { src, dst } of report.copied ?? []) {
+                    changes.push({
+                        category,
+                        path: pathOf(dst),
+                        isDirectory: false,
+                        detail: `copy of ${pathOf(src)}`,
+                    });
+                }
+                break;
+            case "retargeted":
+                for (const { oldValue, newValue } of report.retargeted) {
+                    changes.push({
+                        category,
+                        path: pathOf(newValue),
+                        isDirectory: false,
+                        detail: `${oldValue.target} → ${newValue.target}`,
+                    });
+                }
+                break;
+            case "permissionsChanged":
+                for (const { oldValue, newValue } of report.permissionsChanged) {
+                    changes.push({
+                        category,
+                        path: pathOf(newValue),
+                        isDirectory: isDirectory(newValue),
+                        detail: `${formatMode(oldValue.mode)} → ${formatMode(newValue.mode)}`,
+                    });
+                }
+                break;
+            case "ownershipChanged":
+                for (const { oldValue, newValue } of report.ownershipChanged) {
+                    changes.push({
+                        category,
+                        path: pathOf(newValue),
+                        isDirectory: isDirectory(newValue),
+                        detail: `${oldValue.uid}:${oldValue.gid} → ${newValue.uid}:${newValue.gid}`,
+                    });
+                }
+                break;
+            default:
+                for (const { newValue } of report[category.key]) {
+                    changes.push({
+                        category,
+                        path: pathOf(newValue),
+                        isDirectory: isDirectory(newValue),
+                        detail: "",
+                    });
+                }
+        }
+    }
+
+    changes.sort((a, b) => comparePaths(a.path, b.path));
+
+    const shown = changes.slice(0, Math.max(0, limit));
+    return { shown, hidden: changes.length - shown.length, total: changes.length };
+}
+
+/**
+ * Counts the changes of a category, for the summaries.
+ * @param {import("./report.js").Report} report - The report.
+ * @param {typeof CATEGORIES[number]["key"]} key - The category.
+ * @returns {string} The number of changes, or "not detected" if the comparison did not look for them.
+ */
+function countOf(report, key) {
+    const changes = report[key];
+    return changes ? String(changes.length) : "not detected";
+}
+
+/**
+ * Builds the one-line summary of the text output.
+ * @param {import("./report.js").Report} report - The report.
+ * @param {number} total - The number of changes.
+ * @returns {string} The summary.
+ */
+function summarize(report, total) {
+    if (total === 0) {
+        return report.complete ? "No changes" : "No changes found before stopping";
+    }
+    const counts = CATEGORIES.filter(({ key }) => report[key]?.length)
+        .map(({ key, label }) => `${countOf(report, key)} ${label.toLowerCase()}`)
+        .join(", ");
+    const suffix = report.complete ? "" : " (stopped at the first difference)";
+    return `${total} change(s): ${counts}${suffix}`;
+}
+
+/**
+ * Formats permission bits the way `chmod` takes them, e.g. "0755".
+ * @param {number|undefined} mode - The permission bits.
+ * @returns {string} The octal mode.
+ */
+function formatMode(mode) {
+    return (mode ?? 0).toString(8).padStart(4, "0");
+}
+
+/**
+ * Splits a path into its segments. The leading "/" of an absolute path is kept on the first segment.
+ * @param {string} path - The path.
+ * @returns {string[]} The segments.
+ */
+function splitPath(path) {
+    const segments = path.split("/").filter(Boolean);
+    if (path.startsWith("/") && segments.length) segments[0] = `/${segments[0]}`;
+    return segments;
+}
+
+/**
+ * Returns the path of a change as displayed in flat lists, with a trailing "/" for directories.
+ * @param {ChangeLine} change - The change.
+ * @returns {string} The path.
+ */
+function displayPath(change) {
+    return change.isDirectory ? `${change.path}/` : change.path;
+}
+
+/**
+ * Escapes the characters with a special meaning in XML and HTML.
+ * @param {string} string - The string to be escaped.
+ * @returns {string} The escaped string.
+ */
+function escapeXml(string) {
+    return string
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * Escapes the characters that would break a Markdown table cell.
+ * @param {string} string - The string to be escaped.
+ * @returns {string} The escaped string.
+ */
+function escapeMarkdown(string) {
+    return string.replace(/([\\|`*_[\]<>])/g, "\\$1");
+}
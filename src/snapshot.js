@@ -1,32 +1,71 @@
 // @ts-check
 
-import { FileEntry } from "./fileentry.js";
-import { readSnapshot } from "./snapshot_reader.js";
-import { validateSnapshot } from "./snapshot_validator.js";
+import { FileEntry, Footer, Header } from "./fileentry.js";
+import { indexByRelativePath, readSnapshot } from "./snapshot_reader.js";
+import { findSnapshotError } from "./snapshot_validator.js";
+import { comparePaths } from "./snapshot_sorter.js";
+import { compilePattern, matchRules } from "./patterns.js";
 import { existsSync } from "node:fs";
 
+/**
+ * The criteria of `Snapshot.filter`. An entry must meet all of them.
+ * @typedef {Object} EntryFilter
+ * @property {number} [minSize] - The minimum size in bytes. Only files have a size
+ * @property {number} [maxSize] - The maximum size in bytes. Only files have a size
+ * @property {Date|string} [modifiedAfter] - The entry must have been modified after this date, a `Date` or an ISO string
+ * @property {import("./fileentry.js").EntryType|import("./fileentry.js").EntryType[]} [type] - The type, or the types
+ * @property {number} [depth] - The depth, 0 for the entries right in the root directory
+ */
+
+/**
+ * The size and number of the files of a directory, its subdirectories included.
+ * @typedef {Object} DirectoryStats
+ * @property {number} size - The total size of the files in bytes
+ * @property {number} files - The number of files
+ */
+
 export class Snapshot {
-    /** @type {{rootPath: string, createdAt: string, machineId?: string, version?: string, type: "dir-snapshot"}} */
+    /** @type {Header} */
     #header;
     /** @type {Map<string, FileEntry>} */
     #entries = new Map();
-    /** @type {{status: "success"}|{status: "error", message: string}} */
+    /** @type {Footer} */
     #footer;
 
     #isOpened = false;
     /** @type {string} */
     #path;
+    /** @type {string|undefined} */
+    #rootPath;
+    /** @type {import("./snapshot_validator.js").ValidationOptions} */
+    #validation;
+    /** @type {AbortSignal|undefined} */
+    #signal;
+    /**
+     * The entries sorted by `comparePaths` and keyed by relative path, built on first query.
+     * @type {{sorted: FileEntry[], byPath: Map<string, FileEntry>, children: Map<string, FileEntry[]>}|undefined}
+     */
+    #index;
+    /** @type {Map<string, DirectoryStats>|undefined} */
+    #stats;
 
     /**
      * Constructs a new Snapshot instance with the specified path.
      * @param {string} path - The path to the snapshot file or null if created from scratch.
+     * @param {{rootPath?: string, keys?: Record<string, import("node:crypto").KeyLike>, requireSignature?: boolean, signal?: AbortSignal}} [options] -
+     * `rootPath` overrides the root directory the absolute paths of the entries are resolved against, e.g. when
+     * the snapshotted tree is mounted somewhere else. `keys` and `requireSignature` are as for `validateSnapshot`.
+     * `signal` stops `open` when aborted, which then rejects with its reason.
      */
-    constructor(path) {
+    constructor(path, options = {}) {
         if (!existsSync(path)) {
             throw new Error("Snapshot file does not exist.");
         }
 
         this.#path = path;
+        this.#rootPath = options.rootPath;
+        this.#validation = { keys: options.keys, requireSignature: options.requireSignature, signal: options.signal };
+        this.#signal = options.signal;
     }
 
     /**
@@ -48,7 +87,7 @@ export class Snapshot {
 
     /**
      * The header of the snapshot. Contains metadata like rootPath, createdAt, machineId, version, and type.
-     * @type {{rootPath: string, createdAt: string, machineId?: string, version?: string, type: "dir-snapshot"}}
+     * @type {Header}
      * @readonly
      * @throws {Error} If the snapshot has not been opened.
      */
@@ -60,7 +99,22 @@ export class Snapshot {
     }
 
     /**
-     * The entries of the snapshot. A Map where the keys are the paths of the entries and the values are the parsed JSON objects.
+     * The root directory the absolute paths of the entries are resolved against.
+     * This is `header.rootPath` unless it was overridden in the constructor.
+     * @type {string}
+     * @readonly
+     * @throws {Error} If the snapshot has not been opened.
+     */
+    get rootPath() {
+        if (!this.#isOpened) {
+            throw new Error("Snapshot is not opened.");
+        }
+        return (this.#rootPath ?? this.#header.rootPath).replace(/\\/g, "/");
+    }
+
+    /**
+     * The entries of the snapshot. A Map where the keys are the paths of the entries, as stored in the file,
+     * and the values are the parsed JSON objects. Each entry has a `relativePath` and an `absolutePath` property.
      * @type {Map<string, FileEntry>}
      * @readonly
      * @throws {Error} If the snapshot has not been opened.
@@ -73,8 +127,9 @@ export class Snapshot {
     }
 
     /**
-     * The footer of the snapshot. Contains information about the success or failure of creating the snapshot.
-     * @type {{status: "success"}|{status: "error", message: string}}
+     * The footer of the snapshot. Contains information about the success or failure of creating the snapshot,
+     * the number of entries that could not be read if it is "partial", and its entry count, digest and root hash.
+     * @type {Footer}
      * @readonly
      * @throws {Error} If the snapshot has not been opened.
      */
@@ -87,6 +142,8 @@ export class Snapshot {
 
     /**
      * Reads a snapshot file and populates this object with the data.
+     * The file is validated first, including its entry count, digest and signature, see `validateSnapshot`.
+     * Partial snapshots are opened too: the entries that could not be read have an `error` field.
      * @returns {Promise<boolean>} A promise that resolves with true if the snapshot is valid and this object is populated, otherwise false.
      */
     async open() {
@@ -96,14 +153,17 @@ export class Snapshot {
 
         let snaphotPath = this.#path;
 
-        let isValid = await validateSnapshot(snaphotPath);
+        let error = await findSnapshotError(snaphotPath, this.#validation);
 
-        if (!isValid) {
-            throw new Error("Snapshot file is invalid.");
+        if (error) {
+            throw new Error(`Snapshot file is invalid: ${error}`);
         }
 
         try {
-            let snapshot = await readSnapshot(snaphotPath);
+            let snapshot = await readSnapshot(snaphotPath, {
+                rootPath: this.#rootPath,
+                signal: this.#signal,
+            });
             this.#header = snapshot.header;
             this.#entries = snapshot.entries;
             this.#footer = snapshot.footer;
@@ -111,7 +171,220 @@ export class Snapshot {
             return true;
         } catch (error) {
             this.#isOpened = false;
+            this.#signal?.throwIfAborted();
             return false;
         }
     }
+
+    /**
+     * Returns the entry at a path.
+     * @param {string} relativePath - The path relative to the root directory, e.g. "src/index.js".
+     * @returns {FileEntry|undefined} The entry, or undefined if the snapshot has none at this path.
+     * @throws {Error} If the snapshot has not been opened.
+     */
+    get(relativePath) {
+        return this.#getIndex().byPath.get(normalizeQueryPath(relativePath));
+    }
+
+    /**
+     * Returns the entries right in a directory, in path order.
+     * @param {string} [dirPath=""] - The path of the directory relative to the root directory, "" for the root.
+     * @returns {FileEntry[]} The entries, none if the directory is not in the snapshot or is empty.
+     * @throws {Error} If the snapshot has not been opened.
+     */
+    children(dirPath = "") {
+        return [...(this.#getIndex().children.get(normalizeQueryPath(dirPath)) ?? [])];
+    }
+
+    /**
+     * Iterates over the entries of a directory and of its subdirectories.
+     * Depth-first, every directory comes right before its contents, in the order `createSnapshot` writes them.
+     * Breadth-first, the entries of a level come before those of the next one.
+     * @param {{order?: "depth-first"|"breadth-first", from?: string}} [options] - `order` defaults to "depth-first",
+     * `from` is the directory to walk, the root ("") by default. The directory itself is not yielded.
+     * @returns {Generator<FileEntry>} The entries.
+     * @throws {Error} If the snapshot has not been opened.
+     */
+    *walk(options = {}) {
+        const { order = "depth-first" } = options;
+        if (order !== "depth-first" && order !== "breadth-first") {
+            throw new Error(`Unsupported walk order: ${order}`);
+        }
+
+        const from = normalizeQueryPath(options.from ?? "");
+        const prefix = from === "" ? "" : from + "/";
+        const entries = this.#getIndex().sorted.filter((entry) => entry.relativePath.startsWith(prefix));
+
+        if (order === "breadth-first") {
+            // stable, so each level keeps the path order
+            entries.sort((a, b) => countSegments(a.relativePath) - countSegments(b.relativePath));
+        }
+        yield* entries;
+    }
+
+    /**
+     * Returns the entries whose path matches a glob, in path order.
+     * The glob is a gitignore-style pattern as for the `include` option of `createSnapshot`: `*.log` matches at any
+     * depth, `src/**\/*.js` is anchored to the root directory and `build/` only matches directories.
+     * @param {string} glob - The pattern.
+     * @returns {FileEntry[]} The matching entries.
+     * @throws {Error} If the snapshot has not been opened, or the pattern is empty.
+     */
+    find(glob) {
+        const rule = compilePattern(glob);
+        if (!rule || rule.negated) {
+            throw new Error(`Invalid pattern: ${glob}`);
+        }
+        return this.#getIndex().sorted.filter((entry) =>
+            matchRules([rule], entry.relativePath, entry.type === "directory"),
+        );
+    }
+
+    /**
+     * Returns the entries that meet all the given criteria, in path order.
+     * @param {EntryFilter} criteria - The criteria, e.g. `{type: "file", minSize: 1e6}`.
+     * @returns {FileEntry[]} The matching entries.
+     * @throws {Error} If the snapshot has not been opened, or `modifiedAfter` is not a valid date.
+     */
+    filter(criteria) {
+        const { minSize, maxSize, type, depth } = criteria;
+        const types = type === undefined ? undefined : [type].flat();
+
+        let modifiedAfter;
+        if (criteria.modifiedAfter !== undefined) {
+            modifiedAfter = new Date(criteria.modifiedAfter).getTime();
+            if (Number.isNaN(modifiedAfter)) {
+                throw new Error(`Invalid date: ${criteria.modifiedAfter}`);
+            }
+        }
+
+        return this.#getIndex().sorted.filter((entry) => {
+            if (types && !types.includes(entry.type)) return false;
+            if (depth !== undefined && entry.depth !== depth) return false;
+            if (minSize !== undefined && !(entry.size !== undefined && entry.size >= minSize)) return false;
+            if (maxSize !== undefined && !(entry.size !== undefined && entry.size <= maxSize)) return false;
+            if (modifiedAfter !== undefined && !(new Date(entry.mtime).getTime() > modifiedAfter)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * The total size and number of the files of every directory, their subdirectories included.
+     * @returns {Map<string, DirectoryStats>} The stats keyed by the path of the directory relative to the root
+     * directory, "" for the root.
+     * @throws {Error} If the snapshot has not been opened.
+     */
+    directoryStats() {
+        if (this.#stats) return this.#stats;
+
+        const { sorted } = this.#getIndex();
+        /** @type {Map<string, DirectoryStats>} */
+        const stats = new Map([["", { size: 0, files: 0 }]]);
+        for (const entry of sorted) {
+            if (entry.type === "directory") stats.set(entry.relativePath, { size: 0, files: 0 });
+        }
+
+        for (const entry of sorted) {
+            if (entry.type !== "file") continue;
+
+            let dir = entry.relativePath;
+            do {
+                dir = parentOf(dir);
+                let dirStats = stats.get(dir);
+                if (!dirStats) {
+                    // the directory itself is not in the snapshot, e.g. left out by `maxDepth`
+                    dirStats = { size: 0, files: 0 };
+                    stats.set(dir, dirStats);
+                }
+                dirStats.size += entry.size ?? 0;
+                dirStats.files++;
+            } while (dir !== "");
+        }
+
+        this.#stats = stats;
+        return stats;
+    }
+
+    /**
+     * Returns the total size of the files of a directory, its subdirectories included.
+     * @param {string} [dirPath=""] - The path of the directory relative to the root directory, "" for the root.
+     * @returns {number} The size in bytes, 0 if the directory is not in the snapshot.
+     * @throws {Error} If the snapshot has not been opened.
+     */
+    totalSize(dirPath = "") {
+        return this.directoryStats().get(normalizeQueryPath(dirPath))?.size ?? 0;
+    }
+
+    /**
+     * Returns the number of files of a directory, its subdirectories included.
+     * @param {string} [dirPath=""] - The path of the directory relative to the root directory, "" for the root.
+     * @returns {number} The number of files, 0 if the directory is not in the snapshot.
+     * @throws {Error} If the snapshot has not been opened.
+     */
+    fileCount(dirPath = "") {
+        return this.directoryStats().get(normalizeQueryPath(dirPath))?.files ?? 0;
+    }
+
+    /**
+     * Returns the entries in path order, keyed by relative path and by parent directory.
+     * @returns {{sorted: FileEntry[], byPath: Map<string, FileEntry>, children: Map<string, FileEntry[]>}} The index.
+     * @throws {Error} If the snapshot has not been opened.
+     */
+    #getIndex() {
+        if (!this.#isOpened) {
+            throw new Error("Snapshot is not opened.");
+        }
+        if (this.#index) return this.#index;
+
+        const byPath = indexByRelativePath(this.#entries);
+        const sorted = [...byPath.values()].sort((a, b) => comparePaths(a.relativePath, b.relativePath));
+
+        /** @type {Map<string, FileEntry[]>} */
+        const children = new Map();
+        for (const entry of sorted) {
+            const parent = parentOf(entry.relativePath);
+            const siblings = children.get(parent);
+            if (siblings) {
+                siblings.push(entry);
+            } else {
+                children.set(parent, [entry]);
+            }
+        }
+
+        this.#index = { sorted, byPath, children };
+        return this.#index;
+    }
+}
+
+/**
+ * Normalizes a path given to a query: "/" separators, without leading "./" or trailing "/", "" for the root.
+ * @param {string} path - The path relative to the root directory.
+ * @returns {string} The normalized path.
+ */
+function normalizeQueryPath(path) {
+    const normalized = path.replace(/\\/g, "/").replace(/^(\.\/)+/, "").replace(/\/+$/, "");
+    return normalized === "." ? "" : normalized;
+}
+
+/**
+ * Returns the parent directory of a relative path.
+ * @param {string} relativePath - The path relative to the root directory.
+ * @returns {string} The path of the parent directory, "" for the root.
+ */
+function parentOf(relativePath) {
+    const slash = relativePath.lastIndexOf("/");
+    return slash === -1 ? "" : relativePath.slice(0, slash);
+}
+
+/**
+ * Counts the segments of a relative path.
+ * @param {string} relativePath - The path relative to the root directory.
+ * @returns {number} The number of segments, 1 for the entries right in the root directory.
+ */
+function countSegments(relativePath) {
+    let count = 1;
+    for (const char of relativePath) {
+        if (char === "/") count++;
+    }
+    return count;
 }
@@ -2,71 +2,107 @@
 
 import { FileEntry } from "./fileentry.js";
 import { Snapshot } from "./snapshot.js";
+import { indexByRelativePath, readSnapshotFooter, readSnapshotHeader } from "./snapshot_reader.js";
+import { Report } from "./report.js";
+import { detectDirectoryMoves } from "./directory_moves.js";
+import { comparePaths } from "./snapshot_sorter.js";
+import { ProgressReporter } from "./progress.js";
 
-class Report {
-    /** @type {FileEntry[]} */
-    added = [];
-    /** @type {FileEntry[]} */
-    deleted = [];
-    /** @type {{src: FileEntry, dst: FileEntry}[]} */
-    moved = [];
-    /** @type {{oldValue: FileEntry, newValue: FileEntry}[]} */
-    metaDataChanged = [];
-    /** @type {{oldValue: FileEntry, newValue: FileEntry}[]} */
-    contentChanged = [];
-    period = {
-        start: "",
-        end: "",
-    };
-
-    /**
-     * Converts the report object into a JSON-serializable format.
-     *
-     * @returns {{period:{start:string, end:string}, added:FileEntry[], metaDataChanged:{oldValue:FileEntry, newValue:FileEntry}[], contentChanged:{oldValue:FileEntry, newValue:FileEntry}[], moved:{src:FileEntry, dst:FileEntry}[], deleted:FileEntry[]}} An object containing the report details, such as the creation date,
-     *                   lists of added, deleted, moved, metadata changed, and content changed entries.
-     */
-    toJSON() {
-        return {
-            period: this.period,
-            added: this.added,
-            metaDataChanged: this.metaDataChanged,
-            contentChanged: this.contentChanged,
-            moved: this.moved,
-            deleted: this.deleted,
-        };
-    }
-}
+/**
+ * Options of `compareSnapshots`.
+ * @typedef {{rootMapping?: Record<string, string>, onAlgorithmMismatch?: "throw"|"metadata", directoryMoveThreshold?: number, moveTieBreaker?: "similarity"|"order", skipIdenticalSubtrees?: boolean} & import("./progress.js").ProgressOptions} CompareOptions
+ */
 
 /**
  * Compares two directory snapshot files and returns the differences.
  *
+ * Entries are matched by their paths relative to the root directory. Snapshots of different root
+ * directories are only compared if at least one of them stores relative paths, or if `rootMapping`
+ * maps the root of one snapshot to the root of the other, e.g. `{ "/ci/build": "/home/me/build" }`.
+ * The absolute paths of the mapped snapshot are then resolved against the mapped root.
+ *
+ * File contents are compared by hash. Snapshots hashed with different algorithms are refused, unless
+ * `onAlgorithmMismatch` is "metadata": their files are then compared by size and mtime, as are the files of
+ * snapshots created with the "none" algorithm. Moved files can only be detected when comparing by hash.
+ *
+ * A renamed or moved directory is reported once in `movedDirectories` instead of as a deleted and an added
+ * directory with every file inside moved, if the similarity of the two subtrees is at least
+ * `directoryMoveThreshold`, see `detectDirectoryMoves`. Its files are then only reported if they changed.
+ *
+ * Added files whose content still exists elsewhere, unchanged, are reported as `copied`. Duplicates with the
+ * same content are paired according to `moveTieBreaker`, see `detectMoves`.
+ *
+ * When both snapshots have directory hashes, `identical` in the report tells whether the trees hold the same
+ * names, types and contents, from their root hashes. With `skipIdenticalSubtrees`, the entries of directories
+ * with the same hash in both snapshots are not compared, so their metadata changes are not reported.
+ *
+ * Partial snapshots, see the `tolerant` option of `createSnapshot`, are compared too. Their entries that could not
+ * be read are reported in `errored`, and the entries at the same paths, or inside directories that could not be
+ * listed, are left out of the comparison rather than reported as added or deleted.
+ *
+ * `onProgress` receives the number of entries compared and the path of the last one, see `Progress`. When `signal`
+ * is aborted, the comparison stops and the promise rejects with its reason.
+ *
  * @param {string} snapshot_path_1 - The path to the first snapshot file to be compared.
  * @param {string} snapshot_path_2 - The path to the second snapshot file to be compared.
+ * @param {CompareOptions} [options] - Comparison options.
  * @returns {Promise<Report>} A promise that resolves with an object containing the differences
  * between the two snapshots. The object may include added, removed, and modified entries.
  */
-export async function compareSnapshots(snapshot_path_1, snapshot_path_2) {
-    const snapshot_1 = new Snapshot(snapshot_path_1);
-    const snapshot_2 = new Snapshot(snapshot_path_2);
+export async function compareSnapshots(snapshot_path_1, snapshot_path_2, options = {}) {
+    const progress = new ProgressReporter(options);
+    try {
+        return await compare(snapshot_path_1, snapshot_path_2, options, progress);
+    } finally {
+        progress.finish();
+    }
+}
 
-    await Promise.all([snapshot_1.open(), snapshot_2.open()]);
+/**
+ * Compares two directory snapshot files, see `compareSnapshots`.
+ * @param {string} snapshot_path_1 - The path to the first snapshot file to be compared.
+ * @param {string} snapshot_path_2 - The path to the second snapshot file to be compared.
+ * @param {CompareOptions} options - Comparison options.
+ * @param {ProgressReporter} progress - Counts the entries compared.
+ * @returns {Promise<Report>} A promise that resolves with the differences between the two snapshots.
+ */
+async function compare(snapshot_path_1, snapshot_path_2, options, progress) {
+    const {
+        rootMapping = {},
+        onAlgorithmMismatch = "throw",
+        directoryMoveThreshold = 0.5,
+        moveTieBreaker = "similarity",
+        skipIdenticalSubtrees = false,
+        signal,
+    } = options;
 
-    if (snapshot_1.header.rootPath !== snapshot_2.header.rootPath) {
-        throw new Error(
-            "Snapshots are not for the same directory: " +
-                snapshot_1.header.rootPath +
-                " vs " +
-                snapshot_2.header.rootPath
-        );
-    }
+    const [header_1, header_2] = await Promise.all([
+        readSnapshotHeader(snapshot_path_1),
+        readSnapshotHeader(snapshot_path_2),
+    ]);
 
-    if (snapshot_1.header.createdAt === snapshot_2.header.createdAt) {
-        throw new Error(
-            "Snapshots are the same: " + snapshot_1.header.createdAt
-        );
-    }
+    const snapshot_1 = new Snapshot(snapshot_path_1, {
+        rootPath: rootMapping[header_1.rootPath],
+        signal,
+    });
+    const snapshot_2 = new Snapshot(snapshot_path_2, {
+        rootPath: rootMapping[header_2.rootPath],
+        signal,
+    });
+
+    await Promise.all([snapshot_1.open(), snapshot_2.open()]);
+
+    const byHash = checkComparable(
+        snapshot_1.header,
+        snapshot_2.header,
+        snapshot_1.rootPath,
+        snapshot_2.rootPath,
+        onAlgorithmMismatch
+    );
 
     const summary = new Report();
+    summary.contentComparedBy = byHash ? "hash" : "metadata";
+    summary.identical = byHash ? compareRootHashes(snapshot_1.footer, snapshot_2.footer) : null;
 
     const snap_older =
         snapshot_1.header.createdAt < snapshot_2.header.createdAt
@@ -80,85 +116,522 @@ export async function compareSnapshots(snapshot_path_1, snapshot_path_2) {
     summary.period.start = snap_older.header.createdAt;
     summary.period.end = snap_newer.header.createdAt;
 
-    for (const [path, entry] of snap_newer.entries) {
-        let old_entry = snap_older.entries.get(path);
+    const older_entries = indexByRelativePath(snap_older.entries);
+    const newer_entries = indexByRelativePath(snap_newer.entries);
+
+    const errored = collectErrors(newer_entries, older_entries);
+    summary.errored = [...errored.values()];
+
+    /** @type {FileEntry[]} */
+    const unchanged = [];
+    /** @type {Set<string>} */
+    const identicalDirectories = new Set();
+
+    for (const [path, entry] of newer_entries) {
+        countEntry(progress, path, signal);
+        if (isCoveredByError(path, errored)) continue;
+
+        let old_entry = older_entries.get(path);
 
         if (!old_entry) {
             summary.added.push(entry);
             continue;
-        } else {
-            if (entry.type !== old_entry.type) {
-                summary.deleted.push(old_entry);
-                summary.added.push(entry);
-                continue;
-            }
-
-            if (entry.type === "file") {
-                if (entry.sha256 !== old_entry.sha256) {
-                    summary.contentChanged.push({
-                        oldValue: old_entry,
-                        newValue: entry,
-                    });
-                    continue;
-                }
-
-                if (entry.size !== old_entry.size) {
-                    summary.contentChanged.push({
-                        oldValue: old_entry,
-                        newValue: entry,
-                    });
-                    continue;
-                }
-            }
-
-            if (entry.ctime !== old_entry.ctime) {
-                summary.metaDataChanged.push({
-                    oldValue: old_entry,
-                    newValue: entry,
-                });
-                continue;
-            }
-
-            if (entry.mtime !== old_entry.mtime) {
-                summary.metaDataChanged.push({
-                    oldValue: old_entry,
-                    newValue: entry,
-                });
-                continue;
-            }
         }
-    }
 
-    for (const [path, old_entry] of snap_older.entries) {
-        let entry = snap_newer.entries.get(path);
+        // directories come before their contents, which are identical if the directory is
+        if (identicalDirectories.has(parentOf(path))) {
+            if (entry.type === "directory") identicalDirectories.add(path);
+            if (entry.type === "file") unchanged.push(old_entry);
+            continue;
+        }
+
+        if (
+            skipIdenticalSubtrees &&
+            byHash &&
+            entry.type === "directory" &&
+            old_entry.type === "directory" &&
+            entry.hash !== undefined &&
+            entry.hash === old_entry.hash
+        ) {
+            identicalDirectories.add(path);
+        }
 
-        if (!entry) {
+        const change = classifyChange(old_entry, entry, byHash);
+
+        if (change === "replaced") {
             summary.deleted.push(old_entry);
+            summary.added.push(entry);
+        } else if (change) {
+            summary[change].push({
+                oldValue: old_entry,
+                newValue: entry,
+            });
+        }
+
+        if (entry.type === "file" && change !== "contentChanged" && change !== "replaced") {
+            unchanged.push(old_entry);
         }
     }
 
-    // detect moved files
-
-    for (let i = 0; i < summary.deleted.length; i++) {
-        for (let j = 0; j < summary.added.length; j++) {
-            if (
-                summary.deleted[i].type === "file" &&
-                summary.added[j].type === "file" &&
-                summary.deleted[i].size === summary.added[j].size &&
-                summary.deleted[i].sha256 === summary.added[j].sha256
-            ) {
-                summary.moved.push({
-                    src: summary.deleted[i],
-                    dst: summary.added[j],
-                });
-
-                summary.deleted.splice(i, 1);
-                summary.added.splice(j, 1);
-                i--;
-                j--;
-            }
+    for (const [path, old_entry] of older_entries) {
+        countEntry(progress, path, signal);
+        let entry = newer_entries.get(path);
+
+        if (!entry && !isCoveredByError(path, errored)) {
+            summary.deleted.push(old_entry);
         }
     }
 
+    // detect moved directories and files, only possible if the content of the files is known
+    if (byHash) {
+        detectDirectoryMoves(summary, directoryMoveThreshold);
+        detectMoves(summary, { unchanged, tieBreaker: moveTieBreaker });
+    }
+
     return summary;
 }
+
+/**
+ * Counts an entry as compared, and stops the comparison if it was aborted.
+ * @param {ProgressReporter} progress - Counts the entries compared.
+ * @param {string} path - The relative path of the entry.
+ * @param {AbortSignal|undefined} signal - Stops the comparison when aborted.
+ */
+function countEntry(progress, path, signal) {
+    signal?.throwIfAborted();
+    progress.progress.entries++;
+    progress.progress.currentPath = path;
+    progress.report();
+}
+
+/**
+ * Tells from their root hashes alone whether two snapshots hold the same tree: the same names, types and
+ * contents, whatever their metadata. Only the first and last lines of the files are read, unless they are compressed.
+ *
+ * @param {string} snapshot_path_1 - The path to the first snapshot file.
+ * @param {string} snapshot_path_2 - The path to the second snapshot file.
+ * @returns {Promise<boolean|null>} A promise that resolves with true if the trees are identical, false if they
+ * differ, or null if a snapshot has no root hash or they were hashed with different algorithms.
+ */
+export async function isSameTree(snapshot_path_1, snapshot_path_2) {
+    const [header_1, header_2, footer_1, footer_2] = await Promise.all([
+        readSnapshotHeader(snapshot_path_1),
+        readSnapshotHeader(snapshot_path_2),
+        readSnapshotFooter(snapshot_path_1),
+        readSnapshotFooter(snapshot_path_2),
+    ]);
+
+    if (header_1.hashAlgorithm !== header_2.hashAlgorithm) return null;
+    return compareRootHashes(footer_1, footer_2);
+}
+
+/**
+ * Compares the root hashes of two snapshots hashed with the same algorithm.
+ * @param {{rootHash?: string}} footer_1 - The footer of the first snapshot.
+ * @param {{rootHash?: string}} footer_2 - The footer of the second snapshot.
+ * @returns {boolean|null} Whether the root hashes are equal, or null if a snapshot has none.
+ */
+export function compareRootHashes(footer_1, footer_2) {
+    if (!footer_1.rootHash || !footer_2.rootHash) return null;
+    return footer_1.rootHash === footer_2.rootHash;
+}
+
+/**
+ * Collects the entries that could not be read, with an `error` field, keyed by relative path.
+ * @param {...Map<string, FileEntry>} snapshots - The entries of the snapshots by relative path, the one whose
+ * entries are kept when both have an error at the same path first.
+ * @returns {Map<string, FileEntry>} The entries with an error, sorted by path.
+ */
+export function collectErrors(...snapshots) {
+    /** @type {Map<string, FileEntry>} */
+    const errored = new Map();
+    for (const entries of snapshots) {
+        for (const [path, entry] of entries) {
+            if (entry.error && !errored.has(path)) errored.set(path, entry);
+        }
+    }
+    return new Map([...errored].sort(([a], [b]) => comparePaths(a, b)));
+}
+
+/**
+ * Tells whether an entry is left out of a comparison because it, or one of its directories, could not be read.
+ * @param {string} path - The relative path of the entry.
+ * @param {Map<string, FileEntry>} errored - The entries that could not be read, see `collectErrors`.
+ * @returns {boolean} True if the path or one of its parents is in `errored`.
+ */
+export function isCoveredByError(path, errored) {
+    if (errored.size === 0) return false;
+    for (let current = path; current !== ""; current = parentOf(current)) {
+        if (errored.has(current)) return true;
+    }
+    return false;
+}
+
+/**
+ * Returns the relative path of the directory containing an entry, "" for the root directory.
+ * @param {string} path - The relative path of the entry.
+ * @returns {string} The relative path of its directory.
+ */
+function parentOf(path) {
+    const slash = path.lastIndexOf("/");
+    return slash === -1 ? "" : path.slice(0, slash);
+}
+
+/**
+ * Above this number of candidate pairs, duplicates with the same content are paired, and copies matched
+ * with their source, by name and path order instead of by path similarity, to keep the pairing linear.
+ */
+const MAX_SCORED_PAIRS = 10000;
+
+/**
+ * Pairs the deleted and added files of a report that have the same size and hash, and reports them as moved.
+ * Then reports the remaining added files whose content still exists in `unchanged` files, or was moved, as copied.
+ *
+ * Files are matched through an index keyed by size and hash. When several deleted and added files have the
+ * same content, `tieBreaker` decides how they are paired:
+ * - "similarity" pairs files with the same name first, then those whose directories share the longest
+ *   leading path, then in path order. Groups of more than 10000 candidate pairs are only paired by name, then path order.
+ * - "order" pairs them in path order.
+ *
+ * The same strategy, with the same limit, picks the source of a copy. Empty files are never reported as copies. The strategy is
+ * recorded in the `moveTieBreaker` field of the report.
+ *
+ * @param {Report} summary - The report, whose `deleted`, `added`, `moved` and `copied` lists are updated in place.
+ * @param {{unchanged?: FileEntry[], tieBreaker?: "similarity"|"order"}} [options] - `unchanged` are the
+ * files of the older snapshot found with the same content at the same path in the newer one.
+ */
+export function detectMoves(summary, options = {}) {
+    const { unchanged = [], tieBreaker = "similarity" } = options;
+    summary.moveTieBreaker = tieBreaker;
+
+    const deletedByContent = groupByContent(summary.deleted);
+    const addedByContent = groupByContent(summary.added);
+
+    /** @type {Set<FileEntry>} */
+    const paired = new Set();
+
+    for (const [key, added] of addedByContent) {
+        const deleted = deletedByContent.get(key);
+        if (!deleted) continue;
+
+        for (const [src, dst] of pairDuplicates(deleted, added, tieBreaker)) {
+            summary.moved.push({ src, dst });
+            paired.add(src);
+            paired.add(dst);
+        }
+    }
+
+    const sources = groupByContent(
+        unchanged.concat(summary.moved.map(({ src }) => src)).filter((entry) => entry.size !== 0)
+    );
+
+    for (const [key, added] of addedByContent) {
+        const candidates = sources.get(key);
+        if (!candidates) continue;
+
+        const copies = added.filter((dst) => !paired.has(dst));
+        for (const [src, dst] of pickSources(copies, candidates, tieBreaker)) {
+            summary.copied.push({ src, dst });
+            paired.add(dst);
+        }
+    }
+
+    summary.deleted = summary.deleted.filter((entry) => !paired.has(entry));
+    summary.added = summary.added.filter((entry) => !paired.has(entry));
+}
+
+/**
+ * Groups files by content, each group sorted by path.
+ * @param {FileEntry[]} entries - The entries, of any type.
+ * @returns {Map<string, FileEntry[]>} The files by size and hash.
+ */
+function groupByContent(entries) {
+    /** @type {Map<string, FileEntry[]>} */
+    const groups = new Map();
+    for (const entry of entries) {
+        if (entry.type !== "file") continue;
+        const key = `${entry.size}:${entry.hash}`;
+        const group = groups.get(key);
+        if (group) group.push(entry);
+        else groups.set(key, [entry]);
+    }
+    for (const group of groups.values()) {
+        group.sort((a, b) => comparePaths(a.relativePath, b.relativePath));
+    }
+    return groups;
+}
+
+/**
+ * Pairs deleted and added files with the same content.
+ * @param {FileEntry[]} deleted - The deleted files, sorted by path.
+ * @param {FileEntry[]} added - The added files, sorted by path.
+ * @param {"similarity"|"order"} tieBreaker - How duplicates are paired, see `detectMoves`.
+ * @returns {Array<[FileEntry, FileEntry]>} The pairs of a deleted and an added file.
+ */
+function pairDuplicates(deleted, added, tieBreaker) {
+    if (tieBreaker === "order" || (deleted.length === 1 && added.length === 1)) {
+        return zip(deleted, added);
+    }
+
+    if (deleted.length * added.length > MAX_SCORED_PAIRS) {
+        // same names first, each name in path order, then the rest in path order
+        const deletedByName = groupByName(deleted);
+        /** @type {Map<string, number>} */
+        const nextByName = new Map();
+
+        /** @type {Array<[FileEntry, FileEntry]>} */
+        const pairs = [];
+        /** @type {Set<FileEntry>} */
+        const used = new Set();
+        for (const dst of added) {
+            const name = basename(dst.relativePath);
+            const group = deletedByName.get(name);
+            const next = nextByName.get(name) ?? 0;
+            if (!group || next === group.length) continue;
+            const src = group[next];
+            nextByName.set(name, next + 1);
+            pairs.push([src, dst]);
+            used.add(src);
+            used.add(dst);
+        }
+        return pairs.concat(
+            zip(
+                deleted.filter((entry) => !used.has(entry)),
+                added.filter((entry) => !used.has(entry))
+            )
+        );
+    }
+
+    const candidates = [];
+    for (const [i, src] of deleted.entries()) {
+        for (const [j, dst] of added.entries()) {
+            candidates.push({
+                src,
+                dst,
+                score: similarity(src.relativePath, dst.relativePath),
+                order: i * added.length + j,
+            });
+        }
+    }
+    candidates.sort((a, b) => b.score - a.score || a.order - b.order);
+
+    /** @type {Array<[FileEntry, FileEntry]>} */
+    const pairs = [];
+    /** @type {Set<FileEntry>} */
+    const used = new Set();
+    for (const { src, dst } of candidates) {
+        if (used.has(src) || used.has(dst)) continue;
+        pairs.push([src, dst]);
+        used.add(src);
+        used.add(dst);
+    }
+    return pairs;
+}
+
+/**
+ * Picks the files copies were most likely made from.
+ * @param {FileEntry[]} copies - The copies, sorted by path.
+ * @param {FileEntry[]} candidates - The files with the same content, sorted by path.
+ * @param {"similarity"|"order"} tieBreaker - How the sources are picked, see `detectMoves`.
+ * @returns {Array<[FileEntry, FileEntry]>} The pairs of a source and a copy.
+ */
+function pickSources(copies, candidates, tieBreaker) {
+    if (tieBreaker === "similarity" && copies.length * candidates.length > MAX_SCORED_PAIRS) {
+        // the first candidate with the same name, else the first one
+        const candidatesByName = groupByName(candidates);
+        return copies.map((dst) => {
+            const src = candidatesByName.get(basename(dst.relativePath))?.[0] ?? candidates[0];
+            return /** @type {[FileEntry, FileEntry]} */ ([src, dst]);
+        });
+    }
+    return copies.map((dst) => /** @type {[FileEntry, FileEntry]} */ ([closestTo(dst, candidates, tieBreaker), dst]));
+}
+
+/**
+ * Groups files by name, each group in the order of `entries`.
+ * @param {FileEntry[]} entries - The files.
+ * @returns {Map<string, FileEntry[]>} The files by name.
+ */
+function groupByName(entries) {
+    /** @type {Map<string, FileEntry[]>} */
+    const groups = new Map();
+    for (const entry of entries) {
+        const name = basename(entry.relativePath);
+        const group = groups.get(name);
+        if (group) group.push(entry);
+        else groups.set(name, [entry]);
+    }
+    return groups;
+}
+
+/**
+ * Picks the file a copy was most likely made from.
+ * @param {FileEntry} entry - The copy.
+ * @param {FileEntry[]} candidates - The files with the same content, sorted by path.
+ * @param {"similarity"|"order"} tieBreaker - How the source is picked, see `detectMoves`.
+ * @returns {FileEntry} The source.
+ */
+function closestTo(entry, candidates, tieBreaker) {
+    if (tieBreaker === "order") return candidates[0];
+
+    let best = candidates[0];
+    let bestScore = -1;
+    for (const candidate of candidates) {
+        const score = similarity(candidate.relativePath, entry.relativePath);
+        if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Scores how close two paths are: files with the same name come first, then those whose directories
+ * share the longest leading path.
+ * @param {string} a - The first relative path.
+ * @param {string} b - The second relative path.
+ * @returns {number} The score, higher for closer paths.
+ */
+function similarity(a, b) {
+    const segments_a = a.split("/");
+    const segments_b = b.split("/");
+    const sameName = segments_a[segments_a.length - 1] === segments_b[segments_b.length - 1];
+
+    let shared = 0;
+    const length = Math.min(segments_a.length, segments_b.length) - 1;
+    while (shared < length && segments_a[shared] === segments_b[shared]) shared++;
+
+    // a common directory never outweighs a common name
+    return (sameName ? 1024 : 0) + Math.min(shared, 1023);
+}
+
+/**
+ * Pairs the items of two lists in order, up to the length of the shorter one.
+ * @template T
+ * @param {T[]} a - The first list.
+ * @param {T[]} b - The second list.
+ * @returns {Array<[T, T]>} The pairs.
+ */
+function zip(a, b) {
+    const length = Math.min(a.length, b.length);
+    /** @type {Array<[T, T]>} */
+    const pairs = [];
+    for (let i = 0; i < length; i++) pairs.push([a[i], b[i]]);
+    return pairs;
+}
+
+/**
+ * Returns the last segment of a relative path.
+ * @param {string} path - The path.
+ * @returns {string} The name.
+ */
+function basename(path) {
+    return path.slice(path.lastIndexOf("/") + 1);
+}
+
+/**
+ * Checks that two snapshots can be compared with each other.
+ *
+ * @param {import("./fileentry.js").Header} header_1 - The header of the first snapshot.
+ * @param {import("./fileentry.js").Header} header_2 - The header of the second snapshot.
+ * @param {string} rootPath_1 - The root directory of the first snapshot, after the root mapping.
+ * @param {string} rootPath_2 - The root directory of the second snapshot, after the root mapping.
+ * @param {"throw"|"metadata"} onAlgorithmMismatch - What to do if the hash algorithms differ.
+ * @returns {boolean} True if the content of files can be compared by hash, false if only by size and mtime.
+ * @throws {Error} If the snapshots are not comparable.
+ */
+export function checkComparable(header_1, header_2, rootPath_1, rootPath_2, onAlgorithmMismatch) {
+    const isPortable =
+        header_1.pathMode === "relative" || header_2.pathMode === "relative";
+
+    if (!isPortable && rootPath_1 !== rootPath_2) {
+        throw new Error(
+            "Snapshots are not for the same directory: " +
+                header_1.rootPath +
+                " vs " +
+                header_2.rootPath +
+                ". Use the rootMapping option to compare them anyway."
+        );
+    }
+
+    if (header_1.createdAt === header_2.createdAt) {
+        throw new Error("Snapshots are the same: " + header_1.createdAt);
+    }
+
+    const algorithm_1 = header_1.hashAlgorithm;
+    const algorithm_2 = header_2.hashAlgorithm;
+
+    if (algorithm_1 !== algorithm_2 && onAlgorithmMismatch !== "metadata") {
+        throw new Error(
+            "Snapshots were hashed with different algorithms: " +
+                algorithm_1 +
+                " vs " +
+                algorithm_2 +
+                '. Use onAlgorithmMismatch: "metadata" to compare them by size and mtime.'
+        );
+    }
+
+    return algorithm_1 === algorithm_2 && algorithm_1 !== "none";
+}
+
+/**
+ * Determines how an entry changed between two snapshots.
+ *
+ * @param {FileEntry} old_entry - The entry in the older snapshot.
+ * @param {FileEntry} entry - The entry with the same relative path in the newer snapshot.
+ * @param {boolean} byHash - Whether the content of files is compared by hash, or by size and mtime.
+ * @param {boolean} [compareTimes=true] - Whether a different ctime or mtime is a change.
+ * @returns {"replaced"|"contentChanged"|"retargeted"|"permissionsChanged"|"ownershipChanged"|"metaDataChanged"|null}
+ * The category of the change, "replaced" if the type of the entry changed, or null if the entry did not change.
+ * An entry that changed in several ways is given the first category that applies, in this order. Permissions
+ * and ownership are only compared if both entries recorded them, see the `captureStats` option of `createSnapshot`.
+ */
+export function classifyChange(old_entry, entry, byHash, compareTimes = true) {
+    if (entry.type !== old_entry.type) {
+        return "replaced";
+    }
+
+    if (entry.type === "file") {
+        if (byHash && entry.hash !== old_entry.hash) {
+            return "contentChanged";
+        }
+
+        if (entry.size !== old_entry.size) {
+            return "contentChanged";
+        }
+
+        if (!byHash && compareTimes && entry.mtime !== old_entry.mtime) {
+            return "contentChanged";
+        }
+    }
+
+    if (entry.type === "symlink" && entry.target !== old_entry.target) {
+        return "retargeted";
+    }
+
+    if (entry.mode !== undefined && old_entry.mode !== undefined && entry.mode !== old_entry.mode) {
+        return "permissionsChanged";
+    }
+
+    if (
+        (entry.uid !== undefined && old_entry.uid !== undefined && entry.uid !== old_entry.uid) ||
+        (entry.gid !== undefined && old_entry.gid !== undefined && entry.gid !== old_entry.gid)
+    ) {
+        return "ownershipChanged";
+    }
+
+    if (!compareTimes) {
+        return null;
+    }
+
+    if (entry.ctime !== old_entry.ctime) {
+        return "metaDataChanged";
+    }
+
+    if (entry.mtime !== old_entry.mtime) {
+        return "metaDataChanged";
+    }
+
+    return null;
+}
@@ -1,122 +1,439 @@
 // @ts-check
 
+import { once } from "node:events";
 import { createWriteStream } from "node:fs";
-import { readdir, lstat } from "node:fs/promises";
-import { join, resolve } from "node:path";
+import { appendFile, open, rm } from "node:fs/promises";
+import { getHashes, randomBytes } from "node:crypto";
+import { resolve } from "node:path";
 import { calculateFileHash } from "./tools.js";
+import { HashPool } from "./hash_pool.js";
 import { FileEntry } from "./fileentry.js";
+import { Snapshot } from "./snapshot.js";
+import { indexByRelativePath } from "./snapshot_reader.js";
+import { walkDirectory } from "./directory_walker.js";
+import { storeBlob } from "./blob_store.js";
+import { TreeHasher } from "./tree_hasher.js";
+import { SIGNATURE_ALGORITHMS, digestFile, signFooter } from "./integrity.js";
+import { checkCompression, compressFile, compressionOf } from "./compression.js";
+import { ProgressReporter } from "./progress.js";
 
 /**
- * Scans a directory and writes data to a file, excluding specified paths
- * @param {{ outputFile: string, dirPath: string, excludePaths?: Array<string|RegExp>, maxDepth?: number, machineId?: string, metadata?: Object }} options
- * @returns {Promise<boolean>} A promise that resolves with true if the snapshot is valid and this object is populated, otherwise false
+ * Width of the number of reused hashes in the header. It is written as a placeholder padded with spaces before the
+ * tree is walked and overwritten afterwards, so it holds up to the digits of `Number.MAX_SAFE_INTEGER`.
+ */
+const REUSED_HASHES_WIDTH = 16;
+
+/**
+ * Scans a directory and writes data to a file, excluding specified paths.
+ *
+ * When `baseSnapshot` is given, files whose size, mtime, ctime (and inode, where both sides
+ * have one) match the entry of the base snapshot get its hash copied forward instead of being
+ * read again. `paranoid` disables the reuse and forces every file to be rehashed. The base snapshot and the
+ * number of hashes reused are recorded in the `baseSnapshot` field of the header.
+ *
+ * With `relativePaths` the entries store their paths relative to the root directory
+ * (`pathMode: "relative"` in the header), so the snapshot stays valid if the tree is moved or mounted elsewhere.
+ *
+ * Entries can be filtered with gitignore-style globs, matched against the path relative to `dirPath`:
+ * `exclude` leaves out matching entries (a directory is left out with all its contents), `include` keeps
+ * only the matching non-directory entries, and the files named in `ignoreFiles` (e.g. ".gitignore") are
+ * honored in every directory they are found in, scoped to that directory. Later patterns take precedence,
+ * so ignore files can re-include with "!" what `exclude` left out. The strings of `excludePaths` are paths
+ * resolved against `dirPath`. The effective pattern set is recorded in the `patterns` field of the header.
+ *
+ * With `captureStats`, the entries also record their permission bits (`mode`), owner (`uid`, `gid`), inode
+ * (`ino`, `dev`), link count (`nlink`) and `birthtime`, and the header has `captureStats: true`. Whatever the
+ * option, the hard links to the same inode are hashed once.
+ *
+ * `concurrency` sets how many entries are stat'ed and hashed at the same time, and `hashWorkers` moves
+ * the hashing to a pool of worker threads. The entries of each directory are sorted by name and written
+ * in that order whatever the concurrency, so the output is the same for the same tree. The resulting
+ * order is the one of `comparePaths`, which `sorted: true` in the header advertises to `compareSnapshotsStreaming`.
+ *
+ * Files are hashed with `hashAlgorithm`, any algorithm supported by `node:crypto` ("sha256" by default),
+ * or not at all with "none" for a metadata-only snapshot. The algorithm is recorded in the header.
+ *
+ * With `blobStore`, the content of every file is also copied to that content-addressable store, as
+ * `<blobStore>/<hash prefix>/<hash>`, unless a blob with the same hash is already there. The snapshot can then
+ * be rebuilt with `restoreSnapshot`. The store is recorded in the `blobStore` field of the header.
+ *
+ * Every directory entry gets a Merkle-style `hash` covering the names, types and contents of its children,
+ * see `TreeHasher`, and the hash of the root directory is recorded in the `rootHash` field of the footer.
+ * Directories with the same hash hold identical subtrees. They are left out with the "none" algorithm, and
+ * with a `maxDepth`, as the directories at the depth limit are not walked. Directory entries are written
+ * before their contents, so their hashes are filled in once the walk is complete.
+ *
+ * The footer records the number of entries in `entryCount` and the sha256 `digest` of every line before it,
+ * so a truncated or edited snapshot is detected by `validateSnapshot`. With `signing`, the footer (its status,
+ * root hash, counts and digest) is also signed with an Ed25519 private key or an HMAC secret: the key id and algorithm are recorded in the
+ * `keyId` and `signatureAlgorithm` fields of the header, and the base64 signature in the `signature` field of the footer.
+ *
+ * With `tolerant`, an entry that cannot be read, e.g. for lack of permission or because it was deleted during the
+ * walk, is recorded with an `error` field (`code`, `errno` and `message`) instead of aborting the snapshot, and
+ * the walk goes on. Such a snapshot ends with the status "partial" and the number of `errors` in its footer.
+ *
+ * With `compression` "gzip" or "brotli", the snapshot is compressed with `node:zlib`. It defaults to the
+ * extension of `outputFile`: ".gz" for gzip, ".br" for brotli. The snapshot is then written uncompressed to a
+ * temporary file next to `outputFile` first, and compressed once complete. The digest covers the uncompressed lines.
+ *
+ * `onProgress` receives the number of directories entered, files and bytes hashed and entries written, and the
+ * path being handled, at most once per `progressInterval` milliseconds, see `Progress`. When `signal` is aborted,
+ * the walk stops: the files being hashed are no longer read, except by hash workers, and the snapshot ends with
+ * the status "aborted".
+ *
+ * @param {{ outputFile: string, dirPath: string, excludePaths?: Array<string|RegExp>, include?: string[], exclude?: string[], ignoreFiles?: string[], maxDepth?: number, machineId?: string, metadata?: Object, baseSnapshot?: string, paranoid?: boolean, relativePaths?: boolean, concurrency?: number, hashWorkers?: number, hashAlgorithm?: string, blobStore?: string, signing?: import("./integrity.js").SigningOptions, compression?: import("./compression.js").Compression, captureStats?: boolean, tolerant?: boolean } & import("./progress.js").ProgressOptions} options
+ * @returns {Promise<boolean>} A promise that resolves with true if the snapshot is valid, partial or not, otherwise
+ * false: the snapshot then ends with the status "error" or "aborted" and the reason in the `message` of its footer,
+ * see `readSnapshotFooter`.
+ * @throws {Error} If the snapshot file cannot be created.
  */
 export async function createSnapshot(options) {
     const {
         outputFile,
         dirPath,
         excludePaths = [],
+        include = [],
+        exclude = [],
+        ignoreFiles = [],
         maxDepth = Infinity,
         machineId = "unknown",
         metadata = {},
+        baseSnapshot,
+        paranoid = false,
+        relativePaths = false,
+        concurrency = 1,
+        hashWorkers = 0,
+        hashAlgorithm = "sha256",
+        blobStore,
+        signing,
+        compression = compressionOf(outputFile),
+        captureStats = false,
+        tolerant = false,
+        signal,
     } = options;
 
-    const writer = createWriteStream(outputFile, { flags: "w" });
+    if (hashAlgorithm !== "none" && !getHashes().includes(hashAlgorithm)) {
+        throw new Error(`Unsupported hash algorithm: ${hashAlgorithm}`);
+    }
+
+    if (blobStore && hashAlgorithm === "none") {
+        throw new Error('A blob store requires a hash algorithm other than "none".');
+    }
+
+    if (signing && !SIGNATURE_ALGORITHMS.includes(signing.algorithm ?? "ed25519")) {
+        throw new Error(`Unsupported signature algorithm: ${signing.algorithm}`);
+    }
+
+    checkCompression(compression);
+
     const rootPath = resolve(dirPath);
+
+    /** @type {Snapshot|null} */
+    let base = null;
+    if (baseSnapshot) {
+        base = new Snapshot(baseSnapshot);
+        await base.open();
+    }
+
+    // a compressed snapshot is written uncompressed first, as the directory hashes are filled in afterwards
+    const plainFile =
+        compression === "none" ? outputFile : `${outputFile}.${randomBytes(6).toString("hex")}.tmp`;
+    const writer = createWriteStream(plainFile, { flags: "w" });
+    // a failure is recorded in the snapshot itself, which is impossible if it cannot be created
+    await once(writer, "open");
     let result = true;
 
+    /** @type {Object} */
     const header = {
-        version: "1.0",
+        version: "1.1",
         type: "dir-snapshot",
         createdAt: new Date().toISOString(),
         machineId: machineId,
         rootPath: rootPath.replace(/\\/g, "/"),
+        pathMode: relativePaths ? "relative" : "absolute",
+        hashAlgorithm: hashAlgorithm,
+        sorted: true,
         ...metadata,
     };
 
-    writer.write(`${JSON.stringify(header)}\n`);
+    if (excludePaths.length || include.length || exclude.length || ignoreFiles.length) {
+        header.patterns = {
+            excludePaths: excludePaths.map((rule) =>
+                rule instanceof RegExp ? { source: rule.source, flags: rule.flags } : rule
+            ),
+            include,
+            exclude,
+            ignoreFiles,
+        };
+    }
+
+    if (captureStats) {
+        header.captureStats = true;
+    }
+
+    if (blobStore) {
+        header.blobStore = resolve(blobStore).replace(/\\/g, "/");
+    }
+
+    if (signing) {
+        header.keyId = signing.keyId;
+        header.signatureAlgorithm = signing.algorithm ?? "ed25519";
+    }
+
+    if (base) {
+        header.baseSnapshot = {
+            path: resolve(baseSnapshot).replace(/\\/g, "/"),
+            createdAt: base.header.createdAt,
+            paranoid: paranoid,
+            // filled in once the tree is walked, see `REUSED_HASHES_WIDTH`
+            reusedHashes: 0,
+        };
+    }
+
+    /** @type {HashContext} */
+    const context = {
+        hashAlgorithm,
+        baseEntries:
+            base && !paranoid && base.header.hashAlgorithm === hashAlgorithm
+                ? indexByRelativePath(base.entries)
+                : null,
+        reusedHashes: 0,
+        hashPool: hashWorkers > 0 ? new HashPool(hashWorkers) : null,
+        blobStore: blobStore ? resolve(blobStore) : null,
+        storedBlobs: 0,
+        storingBlobs: new Map(),
+        hardLinks: new Map(),
+        progress: new ProgressReporter(options),
+        signal,
+    };
+    const { progress } = context;
+
+    /** @type {Map<string, number>} */
+    const hashOffsets = new Map();
+    /** @type {Array<[number, string]>} */
+    const directoryHashes = [];
+    const treeHasher =
+        hashAlgorithm !== "none" && maxDepth === Infinity
+            ? new TreeHasher(hashAlgorithm, (relativePath, hash) => {
+                  directoryHashes.push([/** @type {number} */ (hashOffsets.get(relativePath)), hash]);
+                  hashOffsets.delete(relativePath);
+              })
+            : null;
+    const placeholder = treeHasher ? "0".repeat(TreeHasher.hashLength(hashAlgorithm)) : "";
+    let written = 0;
+    let errors = 0;
+
+    /** @param {string} data */
+    const write = (data) => {
+        writer.write(data);
+        written += Buffer.byteLength(data);
+    };
+
+    let headerLine = `${JSON.stringify(header)}\n`;
+    let reusedHashesOffset = -1;
+    if (base) {
+        // the base snapshot is written after the metadata, so its count is the last such field of the header
+        const field = headerLine.lastIndexOf('"reusedHashes":0}') + '"reusedHashes":'.length;
+        headerLine = headerLine.slice(0, field) + "0".padStart(REUSED_HASHES_WIDTH) + headerLine.slice(field + 1);
+        reusedHashesOffset = Buffer.byteLength(headerLine.slice(0, field));
+    }
+    write(headerLine);
+
+    /** @type {Object} */
+    let footer;
     try {
-        await processDirectory(rootPath, writer, excludePaths, maxDepth);
-        let footer = JSON.stringify({status: "success"});
-        writer.write(footer);
+        await walkDirectory(rootPath, {
+            excludePaths,
+            include,
+            exclude,
+            ignoreFiles,
+            maxDepth,
+            relativePaths,
+            concurrency,
+            captureStats,
+            tolerant,
+            describeFile: (record, stats, absolutePath, relativePath) =>
+                hashFile(record, stats, absolutePath, relativePath, context),
+            onEntry: ({ record, relativePath }) => {
+                if (signal?.aborted) return false;
+
+                const hashed = treeHasher && record.type === "directory" && !record.error;
+                if (record.error) errors++;
+                if (treeHasher) {
+                    if (hashed) record.hash = placeholder;
+                    treeHasher.add(record, relativePath);
+                }
+
+                const line = `${JSON.stringify(record)}\n`;
+                if (hashed) {
+                    const field = line.indexOf(`"hash":"${placeholder}"`) + '"hash":"'.length;
+                    hashOffsets.set(relativePath, written + Buffer.byteLength(line.slice(0, field)));
+                }
+                write(line);
+
+                progress.progress.entries++;
+                if (record.type === "directory") {
+                    progress.progress.directories++;
+                    progress.progress.currentPath = relativePath;
+                }
+                progress.report();
+            },
+        });
+        signal?.throwIfAborted();
+        footer = errors ? { status: "partial", errors } : { status: "success" };
+        if (blobStore) footer.storedBlobs = context.storedBlobs;
+        if (treeHasher) footer.rootHash = treeHasher.finish();
     } catch (error) {
-        console.error("Error processing directory:", error);
-        let footer = JSON.stringify({status: "error", message: error.message});
-        writer.write(footer);
+        if (signal?.aborted) {
+            footer = { status: "aborted", message: signal.reason?.message ?? String(signal.reason) };
+        } else {
+            footer = { status: "error", message: error.message };
+        }
         result = false;
+    } finally {
+        await context.hashPool?.close();
     }
 
-    writer.end();
+    await new Promise((resolve) => writer.end(resolve));
+
+    try {
+        if (result) {
+            /** @type {Array<[number, string]>} */
+            const values = [...directoryHashes];
+            if (base) values.push([reusedHashesOffset, String(context.reusedHashes).padStart(REUSED_HASHES_WIDTH)]);
+            if (values.length) await fillInPlaceholders(plainFile, values);
+
+            // the digest covers the lines as they are once the placeholders are filled in
+            const { entryCount, digest } = await digestFile(plainFile);
+            footer.entryCount = entryCount;
+            footer.digest = digest;
+            if (signing) footer.signature = signFooter(signing, footer);
+        }
+
+        // written once the file is complete, so it can be used as a base snapshot right away
+        await appendFile(plainFile, JSON.stringify(footer));
+        if (plainFile !== outputFile) await compressFile(plainFile, outputFile, compression);
+    } finally {
+        if (plainFile !== outputFile) await rm(plainFile, { force: true });
+        progress.finish();
+    }
     return result;
 }
 
 /**
- * Recursively processes a directory and writes data to a file, excluding specified paths
- * @param {string} currentPath - Current directory being processed
- * @param {import('node:fs').WriteStream} writer - File writer
- * @param {Array<string|RegExp>} excludePaths - Set of absolute paths to exclude
- * @param {number} [depth=Infinity] - Maximum recursion depth
- * @param {number} [currentDepth=0] - Current recursion depth
+ * Overwrites placeholders written before their values were known: the directory hashes, and the number of
+ * reused hashes in the header. Each value has the same length as its placeholder.
+ * @param {string} outputFile - The snapshot file.
+ * @param {Array<[number, string]>} values - The values, with the byte offsets of their placeholders.
  */
-async function processDirectory(
-    currentPath,
-    writer,
-    excludePaths = [],
-    depth = Infinity,
-    currentDepth = 0
-) {
-    if (shouldExclude(resolve(currentPath), excludePaths)) return;
-
-    const items = await readdir(currentPath);
-
-    for (const item of items) {
-        const fullPath = join(currentPath, item);
-        const absolutePath = resolve(fullPath).replace(/\\/g, "/");
-
-        if (shouldExclude(absolutePath, excludePaths)) continue;
-
-        const stats = await lstat(absolutePath);
-        /** @type {FileEntry} */
-        let record = new FileEntry(
-            absolutePath,
-            stats.isDirectory() ? "directory" : "file",
-            stats.ctime.toISOString(),
-            stats.mtime.toISOString(),
-            currentDepth, 
-        );
-
-        if (stats.isFile()) {
-            record.sha256 = await calculateFileHash(absolutePath);
-            record.size = stats.size;
+async function fillInPlaceholders(outputFile, values) {
+    const file = await open(outputFile, "r+");
+    try {
+        for (const [offset, value] of values) {
+            await file.write(value, offset, "ascii");
         }
+    } finally {
+        await file.close();
+    }
+}
 
-        writer.write(`${JSON.stringify(record)}\n`);
+/**
+ * State used to hash the files of a single snapshot.
+ * @typedef {Object} HashContext
+ * @property {string} hashAlgorithm - The `node:crypto` algorithm files are hashed with, or "none"
+ * @property {Map<string, FileEntry>|null} baseEntries - Entries of the base snapshot whose hashes may be reused, by relative path
+ * @property {number} reusedHashes - Number of hashes copied from the base snapshot so far
+ * @property {HashPool|null} hashPool - Worker threads computing the hashes, or null to hash on the main thread
+ * @property {string|null} blobStore - The content-addressable store the files are copied to, or null
+ * @property {number} storedBlobs - Number of blobs added to the store so far
+ * @property {Map<string, Promise<boolean>>} storingBlobs - Blobs being added to the store, by hash, so identical files hashed concurrently are stored once
+ * @property {Map<string, Promise<string>>} hardLinks - Hashes of the files with several hard links, by device and inode
+ * @property {ProgressReporter} progress - Counts the files and bytes hashed
+ * @property {AbortSignal|undefined} signal - Stops the hashing when aborted
+ */
 
-        if (stats.isDirectory() && currentDepth < depth) {
-            await processDirectory(
-                absolutePath,
-                writer,
-                excludePaths,
-                depth,
-                currentDepth + 1
-            );
-        }
+/**
+ * Sets the hash of a regular file, reusing the one of the base snapshot if the file did not change,
+ * and copies the file to the blob store if there is one.
+ * @param {FileEntry} record - The entry being created, with size, ctime and mtime already set
+ * @param {import('node:fs').Stats} stats - The stats of the file
+ * @param {string} absolutePath - The absolute path of the file
+ * @param {string} relativePath - The path of the file relative to the root directory
+ * @param {HashContext} context - State of the hashing
+ */
+async function hashFile(record, stats, absolutePath, relativePath, context) {
+    if (context.hashAlgorithm === "none") return;
+    context.signal?.throwIfAborted();
+    context.progress.progress.currentPath = relativePath;
+
+    // the links to the same inode share their content, which is hashed and stored once
+    const linkKey = stats.nlink > 1 ? `${stats.dev}:${stats.ino}` : null;
+    const linked = linkKey ? context.hardLinks.get(linkKey) : undefined;
+    if (linked) {
+        record.hash = await linked;
+        return;
+    }
+
+    const reused = findReusableHash(relativePath, record, stats, context);
+    const hashing = reused
+        ? Promise.resolve(reused)
+        : context.hashPool
+          ? context.hashPool.hash(absolutePath, context.hashAlgorithm)
+          : calculateFileHash(absolutePath, context.hashAlgorithm, context.signal);
+    if (linkKey) context.hardLinks.set(linkKey, hashing);
+    record.hash = await hashing;
+
+    if (!reused) {
+        context.progress.progress.files++;
+        context.progress.progress.bytes += stats.size;
+        context.progress.report();
+    }
+
+    if (!context.blobStore) return;
+
+    const hash = record.hash;
+    let storing = context.storingBlobs.get(hash);
+    if (storing) {
+        await storing;
+        return;
+    }
+
+    storing = storeBlob(context.blobStore, absolutePath, hash, context.hashAlgorithm);
+    context.storingBlobs.set(hash, storing);
+    try {
+        if (await storing) context.storedBlobs++;
+    } finally {
+        context.storingBlobs.delete(hash);
     }
 }
 
 /**
- * Checks if a given absolute path should be excluded based on a set of rules
- * @param {string} absolutePath - The absolute path to check
- * @param {Array<string|RegExp>} excludePaths - The set of rules to check against
- * @returns {boolean} Whether the path should be excluded or not
+ * Looks up the hash of an unchanged file in the base snapshot.
+ * A file is considered unchanged when its size, mtime and ctime are equal to the base entry,
+ * and its inode as well if the base entry recorded one.
+ * @param {string} relativePath - The path of the file relative to the root directory
+ * @param {FileEntry} record - The entry being created, with size, ctime and mtime already set
+ * @param {import('node:fs').Stats} stats - The stats of the file
+ * @param {HashContext} context - State of the hashing
+ * @returns {string|undefined} The reusable hash, or undefined if the file has to be hashed
  */
-function shouldExclude(absolutePath, excludePaths) {
-    return excludePaths.some((rule) => {
-        if (typeof rule === "string") {
-            return resolve(rule) === absolutePath;
-        } else if (rule instanceof RegExp) {
-            return rule.test(absolutePath);
-        }
-        return false;
-    });
+function findReusableHash(relativePath, record, stats, context) {
+    if (!context.baseEntries) return undefined;
+
+    const baseEntry = context.baseEntries.get(relativePath);
+    if (
+        !baseEntry ||
+        baseEntry.type !== "file" ||
+        !baseEntry.hash ||
+        baseEntry.size !== record.size ||
+        baseEntry.mtime !== record.mtime ||
+        baseEntry.ctime !== record.ctime
+    ) {
+        return undefined;
+    }
+
+    if ("ino" in baseEntry && baseEntry.ino !== stats.ino) return undefined;
+
+    context.reusedHashes++;
+    return baseEntry.hash;
 }
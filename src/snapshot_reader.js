@@ -1,31 +1,39 @@
 // @ts-check
 
-import { createReadStream } from "node:fs";
+import { open } from "node:fs/promises";
+import { posix } from "node:path";
 import { createInterface } from "node:readline";
-import { FileEntry } from "./fileentry.js";
+import { FileEntry, Footer, Header } from "./fileentry.js";
+import { detectCompression, openSnapshotStream } from "./compression.js";
 
 /**
  * Reads a directory snapshot file and parses its contents into an object.
+ * Every entry gets a `relativePath` and an `absolutePath` property, whatever the `pathMode` of the snapshot.
+ * Gzip and brotli compressed files are decompressed on the fly, see `detectCompression`.
  * @param {string} filePath - The path to the snapshot file to be read.
- * @returns {Promise<{header: {rootPath: string, createdAt: string, machineId?: string, version?: string, type: "dir-snapshot"}, entries: Map<string, FileEntry>, footer: {status: "success"}|{status: "error", message: string}}>} A promise that resolves with an object
+ * @param {{rootPath?: string, signal?: AbortSignal}} [options] - `rootPath` overrides the root directory the absolute paths are
+ * resolved against, e.g. when the snapshotted tree has been moved or is mounted somewhere else. `signal` stops the
+ * reading when aborted, rejecting with its reason.
+ * @returns {Promise<{header: Header, entries: Map<string, FileEntry>, footer: Footer}>} A promise that resolves with an object
  * containing the header, entries, and footer of the snapshot. The `entries` property is a Map where the keys are the paths
- * of the entries and the values are the parsed JSON objects.
+ * of the entries, as stored in the file, and the values are the parsed JSON objects.
  */
-export async function readSnapshot(filePath) {
-    const fileStream = createReadStream(filePath, { encoding: "utf-8" });
+export async function readSnapshot(filePath, options = {}) {
+    const fileStream = openSnapshotStream(filePath);
     const rl = createInterface({
         input: fileStream,
         crlfDelay: Infinity,
     });
 
-    /** @type {{rootPath: string, createdAt: string, machineId?: string, version?: string, type: "dir-snapshot"}|null} */
+    /** @type {Header|null} */
     let header = null;
     /** @type {Map<string, FileEntry>} */
     let entries = new Map();
-    /** @type {{status: "success"}|{status: "error", message: string}|null} */
+    /** @type {Footer|null} */
     let footer = null;
 
     for await (const line of rl) {
+        if (options.signal?.aborted) break;
         let data = JSON.parse(line);
 
         if (data.rootPath) {
@@ -37,10 +45,210 @@ export async function readSnapshot(filePath) {
         }
     }
 
+    if (options.signal?.aborted) {
+        rl.close();
+        fileStream.destroy();
+        throw options.signal.reason;
+    }
+
     if (!header || !footer) {
         throw new Error("Invalid snapshot file format.");
     }
 
+    normalizeHeader(header);
+    const rootPath = (options.rootPath ?? header.rootPath).replace(/\\/g, "/");
+
+    for (const entry of entries.values()) {
+        normalizeEntry(entry);
+        resolveEntryPaths(entry, header, rootPath);
+    }
+
     return { header, entries, footer };
 }
 
+/**
+ * Reads the entries of a directory snapshot file one at a time, without keeping them in memory.
+ * Entries are yielded in file order, normalized and with their `relativePath` and `absolutePath` set.
+ * @param {string} filePath - The path to the snapshot file to be read.
+ * @param {{rootPath?: string, onLine?: (line: string) => void}} [options] - `rootPath` overrides the root directory
+ * the absolute paths are resolved against. `onLine` receives every line as it is read, the header and footer
+ * included, e.g. to validate the snapshot in the same pass: the file is then read to its end, past the footer.
+ * @returns {AsyncGenerator<FileEntry>} The entries of the snapshot.
+ */
+export async function* readSnapshotEntries(filePath, options = {}) {
+    const fileStream = openSnapshotStream(filePath);
+    const rl = createInterface({
+        input: fileStream,
+        crlfDelay: Infinity,
+    });
+
+    /** @type {Header|null} */
+    let header = null;
+    let rootPath = "";
+    let ended = false;
+
+    try {
+        for await (const line of rl) {
+            options.onLine?.(line);
+            if (ended) continue;
+            let data = JSON.parse(line);
+
+            if (data.rootPath) {
+                header = normalizeHeader(data);
+                rootPath = (options.rootPath ?? header.rootPath).replace(/\\/g, "/");
+            } else if (data.status) {
+                if (!options.onLine) break;
+                ended = true;
+            } else if (data.path) {
+                if (!header) {
+                    throw new Error("Invalid snapshot file format.");
+                }
+                normalizeEntry(data);
+                resolveEntryPaths(data, header, rootPath);
+                yield data;
+            }
+        }
+    } finally {
+        rl.close();
+        fileStream.destroy();
+    }
+}
+
+/**
+ * Reads only the header line of a directory snapshot file.
+ * @param {string} filePath - The path to the snapshot file.
+ * @returns {Promise<Header>} A promise that resolves with the parsed header.
+ */
+export async function readSnapshotHeader(filePath) {
+    const fileStream = openSnapshotStream(filePath);
+    const rl = createInterface({
+        input: fileStream,
+        crlfDelay: Infinity,
+    });
+
+    try {
+        for await (const line of rl) {
+            let data = JSON.parse(line);
+            if (!data.rootPath) break;
+            return normalizeHeader(data);
+        }
+    } finally {
+        rl.close();
+        fileStream.destroy();
+    }
+
+    throw new Error("Invalid snapshot file format.");
+}
+
+/** Number of bytes read from the end of a snapshot file to find its footer, which is much shorter. */
+const FOOTER_READ_SIZE = 64 * 1024;
+
+/**
+ * Reads only the footer line of a directory snapshot file, from the end of the file.
+ * A compressed snapshot has to be decompressed up to its end, its footer cannot be found otherwise.
+ * @param {string} filePath - The path to the snapshot file.
+ * @returns {Promise<Footer>} A promise that resolves with the parsed footer.
+ */
+export async function readSnapshotFooter(filePath) {
+    if (detectCompression(filePath) !== "none") {
+        return readLastLine(filePath);
+    }
+
+    const file = await open(filePath, "r");
+
+    try {
+        const { size } = await file.stat();
+        const length = Math.min(size, FOOTER_READ_SIZE);
+        const buffer = Buffer.alloc(length);
+        await file.read(buffer, 0, length, size - length);
+
+        const text = buffer.toString("utf-8").replace(/\r?\n$/, "");
+        const data = JSON.parse(text.slice(text.lastIndexOf("\n") + 1));
+        if (data.status) return data;
+    } catch {
+        // reported below
+    } finally {
+        await file.close();
+    }
+
+    throw new Error("Invalid snapshot file format.");
+}
+
+/**
+ * Reads the footer of a compressed snapshot file, its last non-empty line.
+ * @param {string} filePath - The path to the snapshot file.
+ * @returns {Promise<Footer>} A promise that resolves with the parsed footer.
+ */
+async function readLastLine(filePath) {
+    const rl = createInterface({
+        input: openSnapshotStream(filePath),
+        crlfDelay: Infinity,
+    });
+
+    let last = "";
+    for await (const line of rl) {
+        if (line !== "") last = line;
+    }
+
+    const data = last ? JSON.parse(last) : null;
+    if (!data?.status) throw new Error("Invalid snapshot file format.");
+    return data;
+}
+
+/**
+ * Fills in the header fields that snapshots of older versions do not have.
+ * @param {Header} header - The header as parsed from the snapshot file.
+ * @returns {Header} The same header.
+ */
+function normalizeHeader(header) {
+    header.pathMode ??= "absolute";
+    header.hashAlgorithm ??= "sha256";
+    return header;
+}
+
+/**
+ * Fills in the entry fields that snapshots of older versions do not have.
+ * Before version 1.1 the hash of a file was stored in a `sha256` field.
+ * @param {FileEntry & {sha256?: string}} entry - The entry as parsed from the snapshot file.
+ */
+function normalizeEntry(entry) {
+    if (entry.hash === undefined && entry.sha256 !== undefined) {
+        entry.hash = entry.sha256;
+    }
+}
+
+/**
+ * Sets the `relativePath` and `absolutePath` properties of an entry.
+ * @param {FileEntry} entry - The entry as parsed from the snapshot file.
+ * @param {Header} header - The header of the snapshot the entry belongs to.
+ * @param {string} rootPath - The root directory the absolute path is resolved against.
+ */
+function resolveEntryPaths(entry, header, rootPath) {
+    entry.relativePath = getRelativePath(entry.path, header);
+    entry.absolutePath = posix.join(rootPath, entry.relativePath);
+}
+
+/**
+ * Converts the path of an entry, as stored in the snapshot file, to a path relative to the root directory.
+ * @param {string} path - The path as stored in the snapshot file.
+ * @param {Header} header - The header of the snapshot the entry belongs to.
+ * @returns {string} The path relative to the root directory.
+ */
+export function getRelativePath(path, header) {
+    if (header.pathMode === "relative") return path;
+    return posix.relative(header.rootPath, path);
+}
+
+/**
+ * Re-keys the entries of a snapshot by their paths relative to the root directory.
+ * @param {Map<string, FileEntry>} entries - The entries as returned by `readSnapshot`.
+ * @returns {Map<string, FileEntry>} The same entries keyed by `relativePath`.
+ */
+export function indexByRelativePath(entries) {
+    /** @type {Map<string, FileEntry>} */
+    const index = new Map();
+    for (const entry of entries.values()) {
+        index.set(entry.relativePath, entry);
+    }
+    return index;
+}
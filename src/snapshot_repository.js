@@ -0,0 +1,402 @@
+// @ts-check
+
+import { existsSync } from "node:fs";
+import { mkdir, readdir, rm } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { FileEntry, Header } from "./fileentry.js";
+import { createSnapshot } from "./snapshot_creator.js";
+import { compareSnapshots } from "./snapshot_comparator.js";
+import { readSnapshotFooter, readSnapshotHeader } from "./snapshot_reader.js";
+import { Snapshot } from "./snapshot.js";
+import { Report } from "./report.js";
+import { generateSnapshotName } from "./tools.js";
+
+/**
+ * A snapshot of a repository, as listed by `SnapshotRepository.list`.
+ * @typedef {Object} SnapshotInfo
+ * @property {string} path - The absolute path of the snapshot file
+ * @property {string} createdAt - When the snapshot was created, in ISO format
+ * @property {string} rootPath - The directory the snapshot was taken of
+ * @property {string} machineId - The machine the snapshot was taken on
+ * @property {Header} header - The whole header
+ */
+
+/**
+ * Selects the snapshots of a single tree: a root directory on a machine.
+ * @typedef {Object} SeriesFilter
+ * @property {string} [rootPath] - The directory the snapshots were taken of
+ * @property {string} [machineId] - The machine the snapshots were taken on
+ */
+
+/**
+ * How many snapshots `prune` keeps. The policies add up: a snapshot is kept if any of them keeps it.
+ * @typedef {Object} RetentionPolicy
+ * @property {number} [keepLast] - Keeps the N latest snapshots
+ * @property {number} [daily] - Keeps the latest snapshot of each of the N latest days that have one
+ * @property {number} [monthly] - Keeps the latest snapshot of each of the N latest months that have one
+ * @property {number} [yearly] - Keeps the latest snapshot of each of the N latest years that have one
+ */
+
+/**
+ * A change of a path between two snapshots, as told by `SnapshotRepository.history`.
+ * @typedef {Object} PathEvent
+ * @property {"added"|"copied"|"changed"|"metadataChanged"|"retargeted"|"permissionsChanged"|"ownershipChanged"|"moved"|"deleted"|"errored"} type -
+ * What happened. The first snapshot that has the path reports it as "added", or "copied" if it was a copy of
+ * another file. "changed" is a change of content
+ * @property {string} snapshot - The snapshot the change was first seen in
+ * @property {string} createdAt - When that snapshot was created
+ * @property {string} path - The path relative to the root directory after the change
+ * @property {string} [from] - The path it was moved, or copied, from
+ * @property {FileEntry} entry - The entry after the change, before it for "deleted"
+ */
+
+/**
+ * A directory of snapshot files, such as those named by `generateSnapshotName`, managed as the history of the trees
+ * they were taken of.
+ *
+ * A repository can hold the snapshots of several trees. Each tree, a root directory on a machine, is a series
+ * of snapshots ordered by `createdAt`, and the operations that need a single series (`latest`, `compareLatest`,
+ * `history`) take its `rootPath` and `machineId` when the repository holds several.
+ *
+ * Every file of the directory whose header can be read is a snapshot of the repository, compressed or not,
+ * whatever its name.
+ */
+export class SnapshotRepository {
+    /** @type {string} */
+    #dir;
+
+    /**
+     * @param {string} dir - The directory of the snapshot files. It is created by the first `take`.
+     */
+    constructor(dir) {
+        this.#dir = resolve(dir);
+    }
+
+    /**
+     * The directory of the snapshot files.
+     * @type {string}
+     * @readonly
+     */
+    get dir() {
+        return this.#dir;
+    }
+
+    /**
+     * Lists the snapshots of the repository, the oldest first.
+     * @param {SeriesFilter} [filter] - Only lists the snapshots of this root directory and, or, this machine.
+     * @returns {Promise<SnapshotInfo[]>} A promise that resolves with the snapshots, sorted by `createdAt`.
+     */
+    async list(filter = {}) {
+        if (!existsSync(this.#dir)) return [];
+
+        /** @type {SnapshotInfo[]} */
+        const snapshots = [];
+        for (const dirent of await readdir(this.#dir, { withFileTypes: true })) {
+            if (!dirent.isFile()) continue;
+
+            const path = join(this.#dir, dirent.name);
+            /** @type {Header} */
+            let header;
+            try {
+                header = await readSnapshotHeader(path);
+            } catch {
+                // not a snapshot
+                continue;
+            }
+
+            if (filter.rootPath !== undefined && header.rootPath !== filter.rootPath) continue;
+            if (filter.machineId !== undefined && header.machineId !== filter.machineId) continue;
+
+            const { createdAt, rootPath, machineId } = header;
+            snapshots.push({ path, createdAt, rootPath, machineId, header });
+        }
+
+        return snapshots.sort(byCreationTime);
+    }
+
+    /**
+     * Returns the latest snapshot of a series.
+     * @param {SeriesFilter} [filter] - The series, which may be left out if the repository holds a single one.
+     * @returns {Promise<SnapshotInfo|undefined>} A promise that resolves with the snapshot, or undefined if the series is empty.
+     * @throws {Error} If the filter matches several series.
+     */
+    async latest(filter = {}) {
+        return (await this.#listSeries(filter)).at(-1);
+    }
+
+    /**
+     * Takes a snapshot of a directory into the repository, as `snapshot.<date>.<time>.ndjson`, with the extension
+     * of its compression if any.
+     * @param {string} dirPath - The directory to snapshot.
+     * @param {Omit<Parameters<typeof createSnapshot>[0], "outputFile"|"dirPath">} [options] - Options of the
+     * snapshot, as for `createSnapshot`, e.g. `exclude`, `compression` or `baseSnapshot`.
+     * @returns {Promise<SnapshotInfo>} A promise that resolves with the new snapshot.
+     * @throws {Error} If the snapshot failed or was aborted, in which case its file is removed.
+     */
+    async take(dirPath, options = {}) {
+        await mkdir(this.#dir, { recursive: true });
+
+        const compression = options.compression ?? "none";
+        let outputFile = join(this.#dir, generateSnapshotName("snapshot", "ndjson", compression));
+        // snapshots taken within the same second
+        for (let i = 1; existsSync(outputFile); i++) {
+            outputFile = join(this.#dir, generateSnapshotName("snapshot", `${i}.ndjson`, compression));
+        }
+
+        const success = await createSnapshot({ ...options, compression, outputFile, dirPath });
+        if (!success) {
+            const { message } = await readSnapshotFooter(outputFile);
+            await rm(outputFile, { force: true });
+            throw new Error(`Snapshot of ${dirPath} failed: ${message}`);
+        }
+
+        const header = await readSnapshotHeader(outputFile);
+        const { createdAt, rootPath, machineId } = header;
+        return { path: outputFile, createdAt, rootPath, machineId, header };
+    }
+
+    /**
+     * Compares two snapshots of the repository, see `compareSnapshots`.
+     * @param {SnapshotInfo|string} snapshot1 - The first snapshot, or the path of its file, relative to the repository or absolute.
+     * @param {SnapshotInfo|string} snapshot2 - The second snapshot, or the path of its file.
+     * @param {import("./snapshot_comparator.js").CompareOptions} [options] - Comparison options.
+     * @returns {Promise<Report>} A promise that resolves with the changes from the older to the newer snapshot.
+     */
+    async compare(snapshot1, snapshot2, options = {}) {
+        return compareSnapshots(this.#resolve(snapshot1), this.#resolve(snapshot2), options);
+    }
+
+    /**
+     * Compares the latest snapshot of a series with the previous one.
+     * @param {SeriesFilter} [filter] - The series, which may be left out if the repository holds a single one.
+     * @param {import("./snapshot_comparator.js").CompareOptions} [options] - Comparison options.
+     * @returns {Promise<Report>} A promise that resolves with the changes since the previous snapshot.
+     * @throws {Error} If the series has less than two snapshots, or the filter matches several series.
+     */
+    async compareLatest(filter = {}, options = {}) {
+        const series = await this.#listSeries(filter);
+        if (series.length < 2) {
+            throw new Error(`Expected at least two snapshots to compare, found ${series.length}.`);
+        }
+        return this.compare(series[series.length - 2], series[series.length - 1], options);
+    }
+
+    /**
+     * Removes the snapshots a retention policy does not keep. Each series is pruned on its own, e.g.
+     * `{keepLast: 5, daily: 30, monthly: 12}` keeps, for each tree, its 5 latest snapshots, the latest one of each
+     * of the 30 latest days and of the 12 latest months that have one. Days, months and years are those of
+     * `createdAt`, in UTC.
+     *
+     * The blobs of the removed snapshots are left in their blob store, see `collectGarbage`.
+     *
+     * @param {RetentionPolicy} policy - What to keep.
+     * @param {SeriesFilter & {dryRun?: boolean}} [options] - Only prunes the snapshots of this root directory and,
+     * or, this machine. With `dryRun`, the snapshots are listed but not removed.
+     * @returns {Promise<{kept: SnapshotInfo[], removed: SnapshotInfo[]}>} A promise that resolves with the snapshots
+     * kept and removed, the oldest first.
+     * @throws {Error} If the policy keeps nothing.
+     */
+    async prune(policy, options = {}) {
+        const { keepLast = 0, daily = 0, monthly = 0, yearly = 0 } = policy;
+        if (keepLast + daily + monthly + yearly <= 0) {
+            throw new Error("Retention policy keeps no snapshot.");
+        }
+
+        /** @type {Map<string, SnapshotInfo[]>} */
+        const series = new Map();
+        for (const snapshot of await this.list(options)) {
+            const key = `${snapshot.machineId}\0${snapshot.rootPath}`;
+            series.set(key, [...(series.get(key) ?? []), snapshot]);
+        }
+
+        /** @type {Set<SnapshotInfo>} */
+        const kept = new Set();
+        for (const snapshots of series.values()) {
+            const newestFirst = [...snapshots].reverse();
+            for (const snapshot of newestFirst.slice(0, keepLast)) kept.add(snapshot);
+            keepPeriods(newestFirst, daily, 10, kept);
+            keepPeriods(newestFirst, monthly, 7, kept);
+            keepPeriods(newestFirst, yearly, 4, kept);
+        }
+
+        const all = [...series.values()].flat().sort(byCreationTime);
+        const removed = all.filter((snapshot) => !kept.has(snapshot));
+        if (!options.dryRun) {
+            for (const snapshot of removed) await rm(snapshot.path, { force: true });
+        }
+
+        return { kept: all.filter((snapshot) => kept.has(snapshot)), removed };
+    }
+
+    /**
+     * Tells the history of a path across the snapshots of a series: when it was added, changed, moved and deleted.
+     *
+     * Each snapshot is compared with the previous one, see `compareSnapshots`. Moves are followed, so the events
+     * after a move, or the move of a directory containing the path, are about its new path.
+     *
+     * @param {string} relativePath - The path relative to the root directory, as in the oldest snapshot it should be
+     * followed from.
+     * @param {SeriesFilter} [filter] - The series, which may be left out if the repository holds a single one.
+     * @param {import("./snapshot_comparator.js").CompareOptions} [options] - Options of the comparisons.
+     * @returns {Promise<PathEvent[]>} A promise that resolves with the changes of the path, the oldest first.
+     * @throws {Error} If the filter matches several series.
+     */
+    async history(relativePath, filter = {}, options = {}) {
+        const series = await this.#listSeries(filter);
+        let path = relativePath.replace(/\\/g, "/").replace(/^(\.\/)+/, "").replace(/\/+$/, "");
+
+        /** @type {PathEvent[]} */
+        const events = [];
+        if (series.length === 0) return events;
+
+        const entry = (await openSnapshot(series[0], options.signal)).get(path);
+        if (entry) {
+            events.push({ type: "added", snapshot: series[0].path, createdAt: series[0].createdAt, path, entry });
+        }
+
+        for (let i = 1; i < series.length; i++) {
+            const { path: snapshot, createdAt } = series[i];
+            const report = await this.compare(series[i - 1], series[i], options);
+
+            const found = pathChanges(report, path);
+            path = found.path;
+            for (const change of found.changes) {
+                // the unchanged entries of a moved directory are not in the report
+                const entry = change.entry ?? (await openSnapshot(series[i], options.signal)).get(change.path);
+                events.push({ ...change, snapshot, createdAt, entry: /** @type {FileEntry} */ (entry) });
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Lists the snapshots of a single series.
+     * @param {SeriesFilter} filter - The series.
+     * @returns {Promise<SnapshotInfo[]>} The snapshots, the oldest first.
+     * @throws {Error} If the filter matches several series.
+     */
+    async #listSeries(filter) {
+        const snapshots = await this.list(filter);
+        const series = new Set(snapshots.map((snapshot) => `${snapshot.machineId} ${snapshot.rootPath}`));
+        if (series.size > 1) {
+            throw new Error(
+                `Repository holds the snapshots of several trees: ${[...series].join(", ")}. ` +
+                    "Give the rootPath and machineId of one of them."
+            );
+        }
+        return snapshots;
+    }
+
+    /**
+     * Returns the path of a snapshot file.
+     * @param {SnapshotInfo|string} snapshot - The snapshot, or the path of its file relative to the repository.
+     * @returns {string} The absolute path.
+     */
+    #resolve(snapshot) {
+        return typeof snapshot === "string" ? resolve(this.#dir, snapshot) : snapshot.path;
+    }
+}
+
+/**
+ * Orders snapshots by `createdAt`, the oldest first.
+ * @param {SnapshotInfo} a - A snapshot.
+ * @param {SnapshotInfo} b - Another snapshot.
+ * @returns {number} A negative number if `a` is older, a positive one if it is newer, 0 if they were created together.
+ */
+function byCreationTime(a, b) {
+    return a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0;
+}
+
+/**
+ * Keeps the latest snapshot of each of the latest periods that have one.
+ * @param {SnapshotInfo[]} newestFirst - The snapshots of a series, the newest first.
+ * @param {number} count - The number of periods.
+ * @param {number} length - The length of the prefix of `createdAt` that names the period, e.g. 10 for a day.
+ * @param {Set<SnapshotInfo>} kept - Receives the snapshots to keep.
+ */
+function keepPeriods(newestFirst, count, length, kept) {
+    /** @type {Set<string>} */
+    const periods = new Set();
+    for (const snapshot of newestFirst) {
+        if (periods.size >= count) break;
+
+        const period = snapshot.createdAt.slice(0, length);
+        if (periods.has(period)) continue;
+        periods.add(period);
+        kept.add(snapshot);
+    }
+}
+
+/**
+ * Opens a snapshot of a repository.
+ * @param {SnapshotInfo} info - The snapshot.
+ * @param {AbortSignal} [signal] - Stops reading the snapshot when aborted.
+ * @returns {Promise<Snapshot>} A promise that resolves with the opened snapshot.
+ * @throws {Error} If the snapshot is invalid.
+ */
+async function openSnapshot(info, signal) {
+    const snapshot = new Snapshot(info.path, { signal });
+    if (!(await snapshot.open())) {
+        throw new Error(`Snapshot file is invalid: ${info.path}`);
+    }
+    return snapshot;
+}
+
+/**
+ * Finds the changes of a path in a comparison report. Moves come first, as the other changes are reported at the new path.
+ * @param {Report} report - The changes between two snapshots.
+ * @param {string} path - The path relative to the root directory in the older snapshot.
+ * @returns {{changes: Array<Omit<PathEvent, "snapshot"|"createdAt"|"entry"> & {entry?: FileEntry}>, path: string}}
+ * The changes, without the entry of a path moved with its directory, and the path in the newer snapshot.
+ */
+function pathChanges(report, path) {
+    /** @type {Array<Omit<PathEvent, "snapshot"|"createdAt"|"entry"> & {entry?: FileEntry}>} */
+    const changes = [];
+
+    const moved = report.moved.find(({ src }) => src.relativePath === path);
+    if (moved) {
+        changes.push({ type: "moved", path: moved.dst.relativePath, from: path, entry: moved.dst });
+        path = moved.dst.relativePath;
+    }
+
+    for (const { src, dst } of report.movedDirectories ?? []) {
+        if (src.relativePath === path) {
+            changes.push({ type: "moved", path: dst.relativePath, from: path, entry: dst });
+            path = dst.relativePath;
+            break;
+        }
+        if (path.startsWith(src.relativePath + "/")) {
+            const newPath = dst.relativePath + path.slice(src.relativePath.length);
+            changes.push({ type: "moved", path: newPath, from: path });
+            path = newPath;
+            break;
+        }
+    }
+
+    const added = report.added.find((entry) => entry.relativePath === path);
+    if (added) changes.push({ type: "added", path, entry: added });
+
+    const copied = report.copied?.find(({ dst }) => dst.relativePath === path);
+    if (copied) changes.push({ type: "copied", path, from: copied.src.relativePath, entry: copied.dst });
+
+    /** @type {Array<[PathEvent["type"], {oldValue: FileEntry, newValue: FileEntry}[]]>} */
+    const lists = [
+        ["changed", report.contentChanged],
+        ["metadataChanged", report.metaDataChanged],
+        ["retargeted", report.retargeted],
+        ["permissionsChanged", report.permissionsChanged],
+        ["ownershipChanged", report.ownershipChanged],
+    ];
+    for (const [type, list] of lists) {
+        const change = list.find(({ newValue }) => newValue.relativePath === path);
+        if (change) changes.push({ type, path, entry: change.newValue });
+    }
+
+    const errored = report.errored.find((entry) => entry.relativePath === path);
+    if (errored) changes.push({ type: "errored", path, entry: errored });
+
+    const deleted = report.deleted.find((entry) => entry.relativePath === path);
+    if (deleted) changes.push({ type: "deleted", path, entry: deleted });
+
+    return { changes, path };
+}
@@ -0,0 +1,206 @@
+// @ts-check
+
+import { createReadStream, createWriteStream } from "node:fs";
+import { appendFile, mkdtemp, rm } from "node:fs/promises";
+import { once } from "node:events";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createInterface } from "node:readline";
+import { getRelativePath } from "./snapshot_reader.js";
+import { digestFile } from "./integrity.js";
+import { compressFile, compressionOf, openSnapshotStream } from "./compression.js";
+
+const SLASH = "/".charCodeAt(0);
+
+/**
+ * Compares two relative paths segment by segment, which puts every directory right before its contents.
+ * This is the order `createSnapshot` writes the entries in.
+ *
+ * @param {string} a - The first relative path.
+ * @param {string} b - The second relative path.
+ * @returns {number} A negative number if `a` comes first, a positive number if `b` comes first, 0 if they are equal.
+ */
+export function comparePaths(a, b) {
+    const length = Math.min(a.length, b.length);
+
+    for (let i = 0; i < length; i++) {
+        const char_a = a.charCodeAt(i);
+        const char_b = b.charCodeAt(i);
+        if (char_a === char_b) continue;
+
+        // "/" ends a segment, so it sorts before any other character
+        if (char_a === SLASH) return -1;
+        if (char_b === SLASH) return 1;
+        return char_a - char_b;
+    }
+
+    return a.length - b.length;
+}
+
+/**
+ * Writes a copy of a snapshot file with its entries sorted by `comparePaths`, and `sorted: true` in the header.
+ *
+ * The entries are sorted with an external merge sort: at most `chunkSize` entries are held in memory,
+ * sorted and written to a temporary file, and the temporary files are merged at the end.
+ *
+ * The entry count and digest of the footer are computed again for the sorted lines. A signature cannot be,
+ * so the copy of a signed snapshot is not signed. The input may be compressed, and the output is compressed
+ * if its name ends with ".gz" or ".br".
+ *
+ * @param {string} inputPath - The path to the snapshot file to be sorted.
+ * @param {string} outputPath - The path to the sorted snapshot file to be written.
+ * @param {{chunkSize?: number, tmpDir?: string, onLine?: (line: string) => void}} [options] - `chunkSize` is the number
+ * of entries sorted in memory at once, `tmpDir` the directory the temporary files are created in. `onLine` receives
+ * every line of the input as it is read, e.g. to validate it in the same pass.
+ * @returns {Promise<void>} A promise that resolves when the sorted file has been written.
+ */
+export async function sortSnapshot(inputPath, outputPath, options = {}) {
+    const { chunkSize = 100000, tmpDir = tmpdir() } = options;
+
+    const workDir = await mkdtemp(join(tmpDir, "dir-snapshot-sort-"));
+
+    try {
+        const fileStream = openSnapshotStream(inputPath);
+        const rl = createInterface({
+            input: fileStream,
+            crlfDelay: Infinity,
+        });
+
+        /** @type {import("./fileentry.js").Header|null} */
+        let header = null;
+        /** @type {any} */
+        let footer = null;
+        /** @type {{key: string, line: string}[]} */
+        let chunk = [];
+        /** @type {string[]} */
+        const chunkFiles = [];
+
+        for await (const line of rl) {
+            options.onLine?.(line);
+            if (line === "") continue;
+            let data = JSON.parse(line);
+
+            if (data.rootPath) {
+                header = data;
+            } else if (data.status) {
+                footer = data;
+            } else if (data.path) {
+                if (!header) throw new Error("Invalid snapshot file format.");
+                chunk.push({ key: getRelativePath(data.path, header), line });
+
+                if (chunk.length >= chunkSize) {
+                    chunkFiles.push(await writeChunk(chunk, workDir, chunkFiles.length));
+                    chunk = [];
+                }
+            }
+        }
+
+        if (!header || footer === null) {
+            throw new Error("Invalid snapshot file format.");
+        }
+
+        const compression = compressionOf(outputPath);
+        const plainPath = compression === "none" ? outputPath : join(workDir, "sorted.ndjson");
+        const writer = createWriteStream(plainPath, { flags: "w" });
+        const { keyId, signatureAlgorithm, ...unsigned } = header;
+        await writeLine(writer, JSON.stringify({ ...unsigned, sorted: true }));
+
+        if (chunkFiles.length === 0) {
+            chunk.sort((a, b) => comparePaths(a.key, b.key));
+            for (const { line } of chunk) {
+                await writeLine(writer, line);
+            }
+        } else {
+            if (chunk.length) {
+                chunkFiles.push(await writeChunk(chunk, workDir, chunkFiles.length));
+            }
+            chunk = [];
+            await mergeChunks(chunkFiles, header, writer);
+        }
+
+        await new Promise((resolve) => writer.end(resolve));
+
+        const { signature, ...rest } = footer;
+        if (rest.digest !== undefined) Object.assign(rest, await digestFile(plainPath));
+        await appendFile(plainPath, JSON.stringify(rest));
+        if (plainPath !== outputPath) await compressFile(plainPath, outputPath, compression);
+    } finally {
+        await rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Sorts a chunk of entries and writes it to a temporary file.
+ * @param {{key: string, line: string}[]} chunk - The entries with their relative paths.
+ * @param {string} workDir - The directory of the temporary files.
+ * @param {number} index - The number of the chunk.
+ * @returns {Promise<string>} The path to the temporary file.
+ */
+async function writeChunk(chunk, workDir, index) {
+    chunk.sort((a, b) => comparePaths(a.key, b.key));
+
+    const chunkPath = join(workDir, `chunk-${index}.ndjson`);
+    const writer = createWriteStream(chunkPath, { flags: "w" });
+    for (const { line } of chunk) {
+        await writeLine(writer, line);
+    }
+    await new Promise((resolve) => writer.end(resolve));
+    return chunkPath;
+}
+
+/**
+ * Merges sorted temporary files into the output, holding a single entry of each file in memory.
+ * @param {string[]} chunkFiles - The paths to the sorted temporary files.
+ * @param {import("./fileentry.js").Header} header - The header of the snapshot.
+ * @param {import("node:fs").WriteStream} writer - The output.
+ */
+async function mergeChunks(chunkFiles, header, writer) {
+    const readers = chunkFiles.map((chunkPath) =>
+        createInterface({
+            input: createReadStream(chunkPath, { encoding: "utf-8" }),
+            crlfDelay: Infinity,
+        })[Symbol.asyncIterator]()
+    );
+
+    /** @type {Array<{key: string, line: string}|null>} */
+    const heads = await Promise.all(readers.map((reader) => readHead(reader, header)));
+
+    for (;;) {
+        let min = -1;
+        for (let i = 0; i < heads.length; i++) {
+            const head = heads[i];
+            if (!head) continue;
+            const current = heads[min];
+            if (!current || comparePaths(head.key, current.key) < 0) {
+                min = i;
+            }
+        }
+        if (min === -1) break;
+
+        await writeLine(writer, /** @type {{line: string}} */ (heads[min]).line);
+        heads[min] = await readHead(readers[min], header);
+    }
+}
+
+/**
+ * Reads the next entry of a sorted temporary file.
+ * @param {AsyncIterator<string>} reader - The lines of the file.
+ * @param {import("./fileentry.js").Header} header - The header of the snapshot.
+ * @returns {Promise<{key: string, line: string}|null>} The entry with its relative path, or null at the end of the file.
+ */
+async function readHead(reader, header) {
+    const { value, done } = await reader.next();
+    if (done) return null;
+    return { key: getRelativePath(JSON.parse(value).path, header), line: value };
+}
+
+/**
+ * Writes a line, waiting for the stream to drain if its buffer is full.
+ * @param {import("node:fs").WriteStream} writer - The output.
+ * @param {string} line - The line, without the line break.
+ */
+async function writeLine(writer, line) {
+    if (!writer.write(`${line}\n`)) {
+        await once(writer, "drain");
+    }
+}
@@ -0,0 +1,414 @@
+// @ts-check
+
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { FileEntry } from "./fileentry.js";
+import { Report } from "./report.js";
+import { checkComparable, classifyChange, compareRootHashes } from "./snapshot_comparator.js";
+import { readSnapshotEntries, readSnapshotHeader } from "./snapshot_reader.js";
+import { comparePaths, sortSnapshot } from "./snapshot_sorter.js";
+import { SnapshotChecker, describeFirstError } from "./snapshot_validator.js";
+import { ProgressReporter } from "./progress.js";
+
+/**
+ * A change as passed to the `onChange` callback of `compareSnapshotsStreaming`.
+ * @typedef {FileEntry|{src: FileEntry, dst: FileEntry}|{oldValue: FileEntry, newValue: FileEntry}} Change
+ */
+
+/**
+ * Compares two directory snapshot files without loading them into memory.
+ *
+ * Both snapshots are read entry by entry and merged by relative path, so they must be sorted by `comparePaths`.
+ * Snapshots written by `createSnapshot` are (`sorted: true` in the header); the others are first sorted into
+ * temporary files with an external merge sort, see `sortSnapshot`.
+ *
+ * Each snapshot is validated as it is read, as by `validateSnapshot`, without reading it a second time. An invalid
+ * snapshot rejects the comparison once the problem is read: a truncated or edited one at its end, after the changes
+ * found so far were passed to `onChange`.
+ *
+ * Deleted and added files are kept in a hash index of at most `moveIndexSize` entries to detect moved files.
+ * When the index is full, its oldest entries are reported as deleted or added. Files with the same content are
+ * paired in the order they are read (`moveTieBreaker: "order"`). Moved directories and copies are not detected:
+ * `movedDirectories` and `copied` are null in the report, their files being reported as added, deleted or moved.
+ *
+ * The changes are passed to `onChange` as soon as they are known. With `retainChanges: false` they are not
+ * kept in the report, so memory use does not depend on the size of the snapshots nor on the number of changes.
+ *
+ * `identical` and `skipIdenticalSubtrees` are as for `compareSnapshots`: the entries of a directory with the same
+ * hash in both snapshots are then read past without being compared.
+ *
+ * The entries of partial snapshots that could not be read are reported in `errored`, and the entries at the
+ * same paths, or inside them, are read past, as by `compareSnapshots`.
+ *
+ * `onProgress`, `progressInterval` and `signal` are as for `compareSnapshots`.
+ *
+ * @param {string} snapshot_path_1 - The path to the first snapshot file to be compared.
+ * @param {string} snapshot_path_2 - The path to the second snapshot file to be compared.
+ * @param {{rootMapping?: Record<string, string>, onAlgorithmMismatch?: "throw"|"metadata", moveIndexSize?: number, skipIdenticalSubtrees?: boolean, onChange?: (category: "added"|"deleted"|"moved"|"metaDataChanged"|"contentChanged"|"retargeted"|"permissionsChanged"|"ownershipChanged"|"errored", change: Change) => void, retainChanges?: boolean, chunkSize?: number, tmpDir?: string} & import("./progress.js").ProgressOptions} [options] - Comparison options,
+ * `rootMapping` and `onAlgorithmMismatch` as for `compareSnapshots`, `chunkSize` and `tmpDir` as for `sortSnapshot`.
+ * @returns {Promise<Report>} A promise that resolves with the differences between the two snapshots.
+ */
+export async function compareSnapshotsStreaming(snapshot_path_1, snapshot_path_2, options = {}) {
+    const {
+        rootMapping = {},
+        onAlgorithmMismatch = "throw",
+        moveIndexSize = 100000,
+        skipIdenticalSubtrees = false,
+        onChange,
+        retainChanges = true,
+        chunkSize,
+        tmpDir = tmpdir(),
+        signal,
+    } = options;
+
+    const [header_1, header_2] = await Promise.all([
+        readHeader(snapshot_path_1),
+        readHeader(snapshot_path_2),
+    ]);
+
+    const rootPath_1 = rootMapping[header_1.rootPath] ?? header_1.rootPath;
+    const rootPath_2 = rootMapping[header_2.rootPath] ?? header_2.rootPath;
+
+    const byHash = checkComparable(
+        header_1,
+        header_2,
+        rootPath_1,
+        rootPath_2,
+        onAlgorithmMismatch
+    );
+
+    const summary = new Report();
+    summary.contentComparedBy = byHash ? "hash" : "metadata";
+    summary.movedDirectories = null;
+    summary.copied = null;
+    if (byHash) summary.moveTieBreaker = "order";
+
+    const isFirstOlder = header_1.createdAt < header_2.createdAt;
+    const older = isFirstOlder
+        ? { path: snapshot_path_1, header: header_1, rootPath: rootPath_1, checker: new SnapshotChecker() }
+        : { path: snapshot_path_2, header: header_2, rootPath: rootPath_2, checker: new SnapshotChecker() };
+    const newer = isFirstOlder
+        ? { path: snapshot_path_2, header: header_2, rootPath: rootPath_2, checker: new SnapshotChecker() }
+        : { path: snapshot_path_1, header: header_1, rootPath: rootPath_1, checker: new SnapshotChecker() };
+    /** @param {string} line */
+    const checkOlder = (line) => older.checker.check(line);
+    /** @param {string} line */
+    const checkNewer = (line) => newer.checker.check(line);
+
+    summary.period.start = older.header.createdAt;
+    summary.period.end = newer.header.createdAt;
+
+    /**
+     * @param {"added"|"deleted"|"moved"|"metaDataChanged"|"contentChanged"|"retargeted"|"permissionsChanged"|"ownershipChanged"|"errored"} category
+     * @param {any} change
+     */
+    const emit = (category, change) => {
+        if (onChange) onChange(category, change);
+        if (retainChanges) summary[category].push(change);
+    };
+
+    const moves = new MoveIndex(moveIndexSize, byHash, emit);
+
+    /** @type {string|null} */
+    let workDir = null;
+    const progress = new ProgressReporter(options);
+
+    try {
+        if (!older.header.sorted || !newer.header.sorted) {
+            workDir = await mkdtemp(join(tmpDir, "dir-snapshot-compare-"));
+        }
+        for (const [index, side] of [older, newer].entries()) {
+            if (side.header.sorted || !workDir) continue;
+            const sortedPath = join(workDir, `sorted-${index}.ndjson`);
+            // the original is validated as it is sorted, its sorted copy is then read unchecked
+            await sortSnapshot(side.path, sortedPath, {
+                chunkSize,
+                tmpDir: workDir,
+                onLine: (line) => side.checker.check(line),
+            });
+            checkValid(side.checker);
+            side.path = sortedPath;
+        }
+
+        const old_entries = sortedEntries(older.path, older.rootPath, older.header.sorted ? checkOlder : undefined);
+        const new_entries = sortedEntries(newer.path, newer.rootPath, newer.header.sorted ? checkNewer : undefined);
+
+        let old_next = await old_entries.next();
+        let new_next = await new_entries.next();
+
+        /** @param {string} directory - The relative path of the directory whose contents are read past. */
+        const skipContents = async (directory) => {
+            const prefix = `${directory}/`;
+            while (!old_next.done && old_next.value.relativePath.startsWith(prefix)) {
+                old_next = await old_entries.next();
+            }
+            while (!new_next.done && new_next.value.relativePath.startsWith(prefix)) {
+                new_next = await new_entries.next();
+            }
+        };
+
+        while (!old_next.done || !new_next.done) {
+            const order = old_next.done
+                ? 1
+                : new_next.done
+                  ? -1
+                  : comparePaths(old_next.value.relativePath, new_next.value.relativePath);
+
+            signal?.throwIfAborted();
+            progress.progress.entries++;
+            progress.progress.currentPath = /** @type {FileEntry} */ ((order < 0 ? old_next : new_next).value).relativePath;
+            progress.report();
+
+            const old_head = order <= 0 ? /** @type {FileEntry} */ (old_next.value) : null;
+            const new_head = order >= 0 ? /** @type {FileEntry} */ (new_next.value) : null;
+            const failed = new_head?.error ? new_head : old_head?.error ? old_head : null;
+            if (failed) {
+                emit("errored", failed);
+                if (old_head) old_next = await old_entries.next();
+                if (new_head) new_next = await new_entries.next();
+                await skipContents(failed.relativePath);
+                continue;
+            }
+
+            if (order < 0) {
+                moves.deleted(/** @type {FileEntry} */ (old_next.value));
+                old_next = await old_entries.next();
+                continue;
+            }
+
+            if (order > 0) {
+                moves.added(/** @type {FileEntry} */ (new_next.value));
+                new_next = await new_entries.next();
+                continue;
+            }
+
+            const old_entry = /** @type {FileEntry} */ (old_next.value);
+            const entry = /** @type {FileEntry} */ (new_next.value);
+            const change = classifyChange(old_entry, entry, byHash);
+
+            if (change === "replaced") {
+                moves.deleted(old_entry);
+                moves.added(entry);
+            } else if (change) {
+                emit(change, { oldValue: old_entry, newValue: entry });
+            }
+
+            old_next = await old_entries.next();
+            new_next = await new_entries.next();
+
+            if (
+                skipIdenticalSubtrees &&
+                byHash &&
+                entry.type === "directory" &&
+                old_entry.type === "directory" &&
+                entry.hash !== undefined &&
+                entry.hash === old_entry.hash
+            ) {
+                await skipContents(entry.relativePath);
+            }
+        }
+
+        moves.flush();
+
+        checkValid(older.checker);
+        checkValid(newer.checker);
+        if (byHash) summary.identical = compareRootHashes(older.checker.footer, newer.checker.footer);
+    } catch (error) {
+        // a line that cannot be parsed is reported as the problem the validation found on it
+        if (!signal?.aborted) {
+            for (const { checker } of [older, newer]) {
+                const problem = describeFirstError(checker.diagnostics);
+                if (problem) throw new Error(`Snapshot file is invalid: ${problem}`);
+            }
+        }
+        throw error;
+    } finally {
+        if (workDir) await rm(workDir, { recursive: true, force: true });
+        progress.finish();
+    }
+
+    return summary;
+}
+
+/**
+ * Reads the header of a snapshot to compare.
+ * @param {string} filePath - The path to the snapshot file.
+ * @returns {Promise<import("./fileentry.js").Header>} A promise that resolves with the header.
+ * @throws {Error} If the first line of the file is not a header.
+ */
+async function readHeader(filePath) {
+    try {
+        return await readSnapshotHeader(filePath);
+    } catch {
+        throw new Error(`Snapshot file is invalid: ${filePath}`);
+    }
+}
+
+/**
+ * Ends the validation of a snapshot read to its end.
+ * @param {SnapshotChecker} checker - The checker every line of the snapshot was passed to.
+ * @throws {Error} If the snapshot is invalid.
+ */
+function checkValid(checker) {
+    const problem = describeFirstError(checker.finish());
+    if (problem) throw new Error(`Snapshot file is invalid: ${problem}`);
+}
+
+/**
+ * Reads the entries of a sorted snapshot, checking that they really are sorted.
+ * @param {string} filePath - The path to the snapshot file.
+ * @param {string} rootPath - The root directory the absolute paths are resolved against.
+ * @param {((line: string) => void)|undefined} onLine - Receives every line of the file, to validate it, see
+ * `readSnapshotEntries`.
+ * @returns {AsyncGenerator<FileEntry>} The entries of the snapshot.
+ */
+async function* sortedEntries(filePath, rootPath, onLine) {
+    /** @type {string|null} */
+    let previous = null;
+
+    for await (const entry of readSnapshotEntries(filePath, { rootPath, onLine })) {
+        if (previous !== null && comparePaths(previous, entry.relativePath) >= 0) {
+            throw new Error(`Snapshot is not sorted: ${entry.path} comes after ${previous}`);
+        }
+        previous = entry.relativePath;
+        yield entry;
+    }
+}
+
+/**
+ * A bounded index of the deleted and added files that have not been paired as moves yet,
+ * keyed by size and hash.
+ */
+class MoveIndex {
+    /** @type {Map<string, FileEntry[]>} */
+    #deleted = new Map();
+    /** @type {Map<string, FileEntry[]>} */
+    #added = new Map();
+    #deletedCount = 0;
+    #addedCount = 0;
+
+    /**
+     * @param {number} maxSize - The maximum number of files held by the index.
+     * @param {boolean} byHash - Whether the files have hashes that can be matched.
+     * @param {(category: "added"|"deleted"|"moved", change: any) => void} emit - Reports a change.
+     */
+    constructor(maxSize, byHash, emit) {
+        this.maxSize = maxSize;
+        this.byHash = byHash;
+        this.emit = emit;
+    }
+
+    /**
+     * Pairs a deleted entry with an added file of the same content, or holds it until one shows up.
+     * @param {FileEntry} entry
+     */
+    deleted(entry) {
+        if (!this.byHash || entry.type !== "file") {
+            this.emit("deleted", entry);
+            return;
+        }
+
+        const key = `${entry.size}:${entry.hash}`;
+        const match = take(this.#added, key);
+        if (match) {
+            this.#addedCount--;
+            this.emit("moved", { src: entry, dst: match });
+            return;
+        }
+
+        put(this.#deleted, key, entry);
+        this.#deletedCount++;
+        this.#evict();
+    }
+
+    /**
+     * Pairs an added entry with a deleted file of the same content, or holds it until one shows up.
+     * @param {FileEntry} entry
+     */
+    added(entry) {
+        if (!this.byHash || entry.type !== "file") {
+            this.emit("added", entry);
+            return;
+        }
+
+        const key = `${entry.size}:${entry.hash}`;
+        const match = take(this.#deleted, key);
+        if (match) {
+            this.#deletedCount--;
+            this.emit("moved", { src: match, dst: entry });
+            return;
+        }
+
+        put(this.#added, key, entry);
+        this.#addedCount++;
+        this.#evict();
+    }
+
+    /**
+     * Reports all the files still held by the index as deleted or added.
+     */
+    flush() {
+        for (const entries of this.#deleted.values()) {
+            for (const entry of entries) this.emit("deleted", entry);
+        }
+        for (const entries of this.#added.values()) {
+            for (const entry of entries) this.emit("added", entry);
+        }
+        this.#deleted.clear();
+        this.#added.clear();
+        this.#deletedCount = 0;
+        this.#addedCount = 0;
+    }
+
+    /**
+     * Reports the oldest files of the index until it is within its maximum size.
+     */
+    #evict() {
+        while (this.#deletedCount + this.#addedCount > this.maxSize) {
+            if (this.#deletedCount >= this.#addedCount) {
+                this.emit("deleted", evictOldest(this.#deleted));
+                this.#deletedCount--;
+            } else {
+                this.emit("added", evictOldest(this.#added));
+                this.#addedCount--;
+            }
+        }
+    }
+}
+
+/**
+ * Adds an entry to the list of entries with the same key.
+ * @param {Map<string, FileEntry[]>} map
+ * @param {string} key
+ * @param {FileEntry} entry
+ */
+function put(map, key, entry) {
+    const entries = map.get(key);
+    if (entries) entries.push(entry);
+    else map.set(key, [entry]);
+}
+
+/**
+ * Removes and returns the first entry with the given key.
+ * @param {Map<string, FileEntry[]>} map
+ * @param {string} key
+ * @returns {FileEntry|undefined}
+ */
+function take(map, key) {
+    const entries = map.get(key);
+    if (!entries) return undefined;
+    const entry = entries.shift();
+    if (entries.length === 0) map.delete(key);
+    return entry;
+}
+
+/**
+ * Removes and returns the entry that was added first to the map.
+ * @param {Map<string, FileEntry[]>} map
+ * @returns {FileEntry}
+ */
+function evictOldest(map) {
+    const [key] = map.keys();
+    return /** @type {FileEntry} */ (take(map, key));
+}
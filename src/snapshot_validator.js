@@ -1,143 +1,693 @@
 // @ts-check
 
-import { createReadStream } from "node:fs";
+import { createHash } from "node:crypto";
+import { DIGEST_ALGORITHM, verifyFooter } from "./integrity.js";
+import { openSnapshotStream } from "./compression.js";
 import { hasProperties, isIsoDateString } from "./tools.js";
 import { createInterface } from "node:readline";
+import { ProgressReporter } from "./progress.js";
+import { getRelativePath } from "./snapshot_reader.js";
+import { posix } from "node:path";
+
+/** The entry types a snapshot may contain, see `EntryType` in fileentry.js. */
+const ENTRY_TYPES = [
+    "file",
+    "directory",
+    "symlink",
+    "fifo",
+    "socket",
+    "char-device",
+    "block-device",
+];
+
+/**
+ * Options of `validateSnapshot`.
+ * @typedef {Object} ValidationOptions
+ * @property {Record<string, import("node:crypto").KeyLike>} [keys] - The keys signatures are checked with, by key id:
+ * Ed25519 public keys, or HMAC secrets. Without keys, signatures are not checked.
+ * @property {boolean} [requireSignature=false] - Whether snapshots that are not signed, or signed with a key
+ * missing from `keys`, are invalid.
+ * @property {boolean} [strict=false] - Whether to also check the types of the fields, the ISO timestamps of the
+ * entries, that their depth matches their path, and that no path is listed twice or lies outside the root directory.
+ * @property {(progress: import("./progress.js").Progress) => void} [onProgress] - Receives the number of entries
+ * checked and the path of the last one, see `ProgressOptions`
+ * @property {number} [progressInterval=1000] - The minimum number of milliseconds between two progress reports
+ * @property {AbortSignal} [signal] - Stops the validation when aborted, rejecting with the reason of the signal
+ */
+
+/**
+ * A problem found in a snapshot file, see `diagnoseSnapshot`.
+ * @typedef {Object} Diagnostic
+ * @property {number} line - The number of the line, from 1. 0 when the file cannot be read at all, the number
+ * of lines plus one when the footer is missing
+ * @property {"error"|"warning"} severity - Errors make the snapshot invalid, warnings do not
+ * @property {string} code - What was found, e.g. "invalid-json", "missing-field" or "digest-mismatch"
+ * @property {string} message - The description of the problem
+ * @property {string} [field] - The offending field of the line, if any
+ */
+
+/**
+ * A problem of a line, before its line number is known.
+ * @typedef {Omit<Diagnostic, "line"|"severity"> & {severity?: "error"|"warning"}} Problem
+ */
 
 /**
  * Validates a directory snapshot file.
+ *
+ * Besides the shape of every line, the entry count and digest of the footer are checked when present, so a
+ * truncated or edited snapshot is invalid, and so is the signature when the key it names is in `keys`.
+ * Compressed files are decompressed on the fly, and checked as uncompressed.
+ * Partial snapshots, with entries that could not be read (see the `tolerant` option of `createSnapshot`), are
+ * valid if the footer records as many errors as there are entries with an `error` field.
+ * Nothing is logged: see `diagnoseSnapshot` for why a snapshot is invalid.
+ *
  * @param {string} filePath - The path to the snapshot file to be validated.
+ * @param {ValidationOptions} [options] - The keys to check signatures with, strict mode, and the progress and abort hooks.
  * @returns {Promise<boolean>} A promise that resolves with true if the snapshot is valid, otherwise false.
  */
-export async function validateSnapshot(filePath) {
-    const fileStream = createReadStream(filePath, { encoding: "utf-8" });
+export async function validateSnapshot(filePath, options = {}) {
+    const diagnostics = await diagnoseSnapshot(filePath, options);
+    return !diagnostics.some((diagnostic) => diagnostic.severity === "error");
+}
+
+/**
+ * Validates a directory snapshot file, see `validateSnapshot`.
+ * @param {string} filePath - The path to the snapshot file to be validated.
+ * @param {ValidationOptions} [options] - The keys to check signatures with, strict mode, and the progress and abort hooks.
+ * @returns {Promise<string|null>} A promise that resolves with the first reason the snapshot is invalid, or null if it is valid.
+ */
+export async function findSnapshotError(filePath, options = {}) {
+    return describeFirstError(await diagnoseSnapshot(filePath, options));
+}
+
+/**
+ * Describes the first error of a list of diagnostics, with its line.
+ * @param {Diagnostic[]} diagnostics - The diagnostics, from `diagnoseSnapshot` or a `SnapshotChecker`.
+ * @returns {string|null} The first reason the snapshot is invalid, or null if there is none.
+ */
+export function describeFirstError(diagnostics) {
+    const error = diagnostics.find((diagnostic) => diagnostic.severity === "error");
+    if (!error) return null;
+    return error.line > 0 ? `Line ${error.line}: ${error.message}` : error.message;
+}
+
+/**
+ * Checks a directory snapshot file and lists every problem found, with its line.
+ *
+ * The checks are those of `validateSnapshot`: the header, the required fields of each entry for its type (a file
+ * has a size, and a hash unless the snapshot was created with the "none" algorithm), the status of the footer, its
+ * error count, entry count, digest and signature. A line that is not JSON is reported and checking goes on with
+ * the next one. With `strict`, the types of the fields, the ISO timestamps of the entries, their depth, duplicate
+ * paths and paths outside the root directory are checked too.
+ *
+ * Warnings do not make a snapshot invalid: the entries that could not be read ("unreadable-entry"), and a footer
+ * without a digest, as written before version 1.1 ("unverified").
+ *
+ * @param {string} filePath - The path to the snapshot file to be checked.
+ * @param {ValidationOptions} [options] - The keys to check signatures with, strict mode, and the progress and abort hooks.
+ * @returns {Promise<Diagnostic[]>} A promise that resolves with the problems found, in line order, none if the
+ * snapshot is valid and complete.
+ */
+export async function diagnoseSnapshot(filePath, options = {}) {
+    const { signal } = options;
+    const progress = new ProgressReporter(options);
+    const checker = new SnapshotChecker(options);
+
+    /** @type {import("node:stream").Readable} */
+    let fileStream;
+    try {
+        fileStream = openSnapshotStream(filePath);
+    } catch (error) {
+        progress.finish();
+        return [{ line: 0, severity: "error", code: "read-error", message: error.message }];
+    }
     const rl = createInterface({
         input: fileStream,
         crlfDelay: Infinity,
     });
 
-    let expectedHeader = true;
-    let expectedFooterOrEntry = false;
-    let expectedNoData = false;
-
-    let isValid = false;
-
     try {
         for await (const line of rl) {
-            if (expectedHeader) {
-                if (isHeader(line)) {
-                    expectedHeader = false;
-                    expectedFooterOrEntry = true;
-                } else {
-                    throw new Error(`Invalid header: ${line}`);
-                }
-            } else if (expectedFooterOrEntry) {
-                if (isFooter(line)) {
-                    expectedFooterOrEntry = false;
-                    expectedNoData = true;
-
-                    let footer = JSON.parse(line);
-                    if (footer.status !== "success") {
-                        console.warn(
-                            `Snapshot has status: ${footer.status}, but should be "success"`
-                        );
-                        if (footer.message) {
-                            console.warn(
-                                `Snapshot has message: ${footer.message}`
-                            );
-                        }
-                        throw new Error("Snapshot is invalid: " + line);
-                    }
-                } else if (isDirectoryEntry(line)) {
-                    // do nothing
-                } else {
-                    throw new Error(`Invalid footer or entry: ${line}`);
+            if (signal?.aborted) break;
+
+            const entry = checker.check(line);
+            if (entry !== undefined) {
+                progress.progress.entries = checker.entryCount;
+                if (checker.header && typeof entry.path === "string") {
+                    progress.progress.currentPath = getRelativePath(entry.path, checker.header);
                 }
-            } else if (expectedNoData) {
-                if (line !== "") throw new Error(`Unexpected data: ${line}`);
+                progress.report();
             }
         }
-
-        isValid = true;
+        signal?.throwIfAborted();
     } catch (error) {
-        console.error(error.message);
+        if (signal?.aborted) {
+            rl.close();
+            fileStream.destroy();
+            progress.finish();
+            throw signal.reason;
+        }
+        checker.readError(error);
     }
 
     rl.close();
-    return isValid;
+    progress.finish();
+    return checker.finish();
 }
 
 /**
- * Determines if a given line is a valid header for a directory snapshot.
- * The header is considered valid if it is a JSON object with the correct type and contains
- * all required properties: "version", "type", "createdAt", "machineId", and "rootPath".
+ * Checks the lines of a snapshot file one at a time, as they are read, see `diagnoseSnapshot`.
+ * A reader of a snapshot can pass it every line it reads, so the snapshot is validated in the same pass.
+ */
+export class SnapshotChecker {
+    /**
+     * The problems found so far, in line order.
+     * @type {Diagnostic[]}
+     */
+    diagnostics = [];
+    /**
+     * The parsed header, null until it is read or if it is not a JSON object.
+     * @type {any}
+     */
+    header = null;
+    /**
+     * The parsed footer, null until it is read.
+     * @type {any}
+     */
+    footer = null;
+    /** The number of entry lines read so far. */
+    entryCount = 0;
+
+    #lineNumber = 0;
+    #errorCount = 0;
+    #digest = createHash(DIGEST_ALGORITHM);
+    /**
+     * The line of each path, to find duplicates in strict mode.
+     * @type {Map<string, number>}
+     */
+    #paths = new Map();
+    /** @type {ValidationOptions} */
+    #options;
+
+    /**
+     * @param {ValidationOptions} [options] - The keys to check signatures with, and strict mode.
+     */
+    constructor(options = {}) {
+        this.#options = options;
+    }
+
+    /**
+     * Checks the next line of the file.
+     * @param {string} line - The line, without its line break.
+     * @returns {any} The parsed entry, or undefined for the header, the footer, the lines after it and the lines
+     * that are not JSON objects.
+     */
+    check(line) {
+        const strict = this.#options.strict ?? false;
+        const lineNumber = ++this.#lineNumber;
+
+        if (this.footer !== null) {
+            if (line !== "") {
+                this.#report(lineNumber, [{ code: "unexpected-data", message: `Unexpected data after the footer: ${line}` }]);
+            }
+            return undefined;
+        }
+
+        const data = parseLine(line);
+        if (data === undefined) {
+            this.#report(lineNumber, [{ code: "invalid-json", message: `Not a JSON object: ${line}` }]);
+        }
+
+        if (lineNumber === 1) {
+            if (data !== undefined) this.#report(lineNumber, checkHeader(data, strict));
+            this.header = data ?? null;
+            this.#digest.update(`${line}\n`);
+            return undefined;
+        }
+
+        if (data !== undefined && isFooter(data)) {
+            this.footer = data;
+            const digest = this.#digest.digest("hex");
+            this.#report(
+                lineNumber,
+                checkFooter(this.header, data, this.entryCount, this.#errorCount, digest, this.#options)
+            );
+            return undefined;
+        }
+
+        this.entryCount++;
+        this.#digest.update(`${line}\n`);
+        if (data === undefined) return undefined;
+
+        if (data.error !== undefined) this.#errorCount++;
+        this.#report(lineNumber, checkEntry(data, this.header, strict));
+        if (strict && this.header) this.#report(lineNumber, checkPath(data, this.header, lineNumber, this.#paths));
+        return data;
+    }
+
+    /**
+     * Records that the file could not be read past the lines checked so far.
+     * @param {Error} error - The read error.
+     */
+    readError(error) {
+        this.#report(this.#lineNumber + 1, [{ code: "read-error", message: error.message }]);
+    }
+
+    /**
+     * Ends the check once every line was passed to `check`, reporting a missing footer.
+     * @returns {Diagnostic[]} The problems found, in line order.
+     */
+    finish() {
+        if (this.footer === null && !this.diagnostics.some(({ code }) => code === "read-error")) {
+            this.#report(this.#lineNumber + 1, [
+                { code: "missing-footer", message: "Snapshot is truncated: no footer found." },
+            ]);
+        }
+        return this.diagnostics;
+    }
+
+    /**
+     * Records the problems of a line.
+     * @param {number} line - The number of the line.
+     * @param {Problem[]} problems - The problems of the line.
+     */
+    #report(line, problems) {
+        for (const { severity = "error", code, message, field } of problems) {
+            /** @type {Diagnostic} */
+            const diagnostic = { line, severity, code, message };
+            if (field !== undefined) diagnostic.field = field;
+            this.diagnostics.push(diagnostic);
+        }
+    }
+}
+
+/**
+ * Parses a line of a snapshot file.
+ * @param {string} line - The line.
+ * @returns {any} The parsed JSON object, or undefined if the line is not a JSON object.
+ */
+function parseLine(line) {
+    try {
+        const data = JSON.parse(line);
+        return data !== null && typeof data === "object" && !Array.isArray(data) ? data : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Checks the status and error count of the footer, then its entry count, digest and signature.
+ * @param {any} header - The parsed header, null if it could not be parsed.
+ * @param {any} footer - The parsed footer.
+ * @param {number} entryCount - The number of entries read.
+ * @param {number} errorCount - The number of entries with an `error` field.
+ * @param {string} digest - The digest of the lines read before the footer.
+ * @param {ValidationOptions} options - The keys to check signatures with, and strict mode.
+ * @returns {Problem[]} The problems found.
+ */
+function checkFooter(header, footer, entryCount, errorCount, digest, options) {
+    /** @type {Problem[]} */
+    const problems = [];
+
+    if (footer.status !== "success" && footer.status !== "partial") {
+        const reason = footer.message ? `: ${footer.message}` : "";
+        problems.push({
+            code: "invalid-status",
+            message: `Snapshot has status "${footer.status}", but should be "success" or "partial"${reason}`,
+            field: "status",
+        });
+    }
+    if ((footer.errors ?? 0) !== errorCount) {
+        problems.push({
+            code: "error-count-mismatch",
+            message: `Error count check failed: the footer records ${footer.errors ?? 0} errors, the snapshot has ${errorCount}.`,
+            field: "errors",
+        });
+    }
+    if (options.strict) {
+        problems.push(...checkTypes(footer, FOOTER_FIELDS));
+    }
+
+    if (header) {
+        const problem = checkIntegrity(header, footer, entryCount, digest, options);
+        if (problem) problems.push(problem);
+    }
+    if (footer.digest === undefined && footer.status !== "error" && footer.status !== "aborted") {
+        problems.push({
+            severity: "warning",
+            code: "unverified",
+            message: "The footer has no digest, a truncated or edited snapshot cannot be detected.",
+            field: "digest",
+        });
+    }
+    return problems;
+}
+
+/**
+ * Checks the entry count, digest and signature recorded in the footer, if any.
+ * Snapshots written before these fields existed only fail the check if a signature is required.
+ *
+ * @param {any} header - The parsed header.
+ * @param {any} footer - The parsed footer.
+ * @param {number} entryCount - The number of entries read.
+ * @param {string} digest - The digest of the lines read before the footer.
+ * @param {ValidationOptions} options - The keys to check signatures with.
+ * @returns {Problem|null} The first check that failed, or null if they all passed.
+ */
+function checkIntegrity(header, footer, entryCount, digest, options) {
+    const { keys = {}, requireSignature = false } = options;
+
+    if (footer.entryCount !== undefined && footer.entryCount !== entryCount) {
+        return {
+            code: "entry-count-mismatch",
+            message: `Entry count check failed: the footer records ${footer.entryCount} entries, the snapshot has ${entryCount}.`,
+            field: "entryCount",
+        };
+    }
+
+    if (footer.digest !== undefined && footer.digest !== digest) {
+        return {
+            code: "digest-mismatch",
+            message: "Digest check failed: the snapshot was modified after it was written.",
+            field: "digest",
+        };
+    }
+
+    if (header.keyId === undefined || footer.signature === undefined) {
+        if (!requireSignature) return null;
+        return {
+            code: "signature-missing",
+            message: "Signature check failed: the snapshot is not signed.",
+            field: "signature",
+        };
+    }
+
+    const key = keys[header.keyId];
+    if (key === undefined) {
+        if (!requireSignature) return null;
+        return {
+            code: "signature-missing",
+            message: `Signature check failed: no key was given for key id "${header.keyId}".`,
+            field: "signature",
+        };
+    }
+
+    if (footer.digest === undefined || footer.entryCount === undefined) {
+        return {
+            code: "signature-invalid",
+            message: "Signature check failed: the footer has no digest to check the signature against.",
+            field: "signature",
+        };
+    }
+
+    let verified;
+    try {
+        verified = verifyFooter(header.signatureAlgorithm, key, footer);
+    } catch (error) {
+        return { code: "signature-invalid", message: `Signature check failed: ${error.message}`, field: "signature" };
+    }
+    if (!verified) {
+        return {
+            code: "signature-invalid",
+            message: `Signature check failed: the signature does not match key id "${header.keyId}".`,
+            field: "signature",
+        };
+    }
+    return null;
+}
+
+/**
+ * The expected type of each field, checked in strict mode. "timestamp" is an ISO 8601 string, as written by
+ * `Date.prototype.toISOString`, "count" a non-negative integer.
+ * @typedef {"string"|"boolean"|"count"|"timestamp"|"object"} FieldType
+ */
+
+/** @type {Record<string, FieldType>} */
+const HEADER_FIELDS = {
+    version: "string",
+    type: "string",
+    createdAt: "timestamp",
+    machineId: "string",
+    rootPath: "string",
+    pathMode: "string",
+    hashAlgorithm: "string",
+    sorted: "boolean",
+    captureStats: "boolean",
+    keyId: "string",
+    signatureAlgorithm: "string",
+    baseSnapshot: "object",
+};
+
+/** @type {Record<string, FieldType>} */
+const ENTRY_FIELDS = {
+    path: "string",
+    type: "string",
+    size: "count",
+    ctime: "timestamp",
+    mtime: "timestamp",
+    birthtime: "timestamp",
+    hash: "string",
+    sha256: "string",
+    depth: "count",
+    target: "string",
+    dangling: "boolean",
+    mode: "count",
+    uid: "count",
+    gid: "count",
+    ino: "count",
+    dev: "count",
+    nlink: "count",
+    error: "object",
+};
+
+/** @type {Record<string, FieldType>} */
+const FOOTER_FIELDS = {
+    status: "string",
+    message: "string",
+    errors: "count",
+    storedBlobs: "count",
+    rootHash: "string",
+    entryCount: "count",
+    digest: "string",
+    signature: "string",
+};
+
+/**
+ * Checks the types of the fields of a line that are present.
+ * @param {any} data - The parsed line.
+ * @param {Record<string, FieldType>} fields - The expected types.
+ * @returns {Problem[]} The fields of the wrong type.
+ */
+function checkTypes(data, fields) {
+    /** @type {Problem[]} */
+    const problems = [];
+
+    for (const [field, type] of Object.entries(fields)) {
+        const value = data[field];
+        if (value === undefined) continue;
+
+        if (type === "timestamp") {
+            if (typeof value !== "string" || !isIsoDateString(value)) {
+                problems.push({
+                    code: "invalid-timestamp",
+                    message: `Field "${field}" is not an ISO 8601 timestamp: ${JSON.stringify(value)}`,
+                    field,
+                });
+            }
+            continue;
+        }
+
+        const valid =
+            type === "count"
+                ? Number.isInteger(value) && value >= 0
+                : type === "object"
+                  ? value !== null && typeof value === "object" && !Array.isArray(value)
+                  : typeof value === type;
+        if (!valid) {
+            const expected = type === "count" ? "a non-negative integer" : `a ${type}`;
+            problems.push({
+                code: "invalid-field-type",
+                message: `Field "${field}" should be ${expected}: ${JSON.stringify(value)}`,
+                field,
+            });
+        }
+    }
+    return problems;
+}
+
+/**
+ * Lists the required fields an object lacks.
+ * @param {any} data - The parsed line.
+ * @param {string[]} fields - The required fields.
+ * @param {string} what - What the line is, for the message, e.g. "Header".
+ * @returns {Problem[]} A "missing-field" problem per missing field.
+ */
+function checkRequired(data, fields, what) {
+    return fields
+        .filter((field) => !hasProperties(data, [field]))
+        .map((field) => ({ code: "missing-field", message: `${what} has no "${field}" field.`, field }));
+}
+
+/**
+ * Checks the header of a directory snapshot: its type, its ISO creation date and the required properties
+ * "version", "type", "createdAt", "machineId" and "rootPath".
+ *
+ * @param {any} header - The parsed first line.
+ * @param {boolean} strict - Whether to check the types of the fields.
+ * @returns {Problem[]} The problems found.
+ */
+function checkHeader(header, strict) {
+    const problems = checkRequired(header, ["version", "type", "createdAt", "machineId", "rootPath"], "Header");
+    if (problems.length) return problems;
+
+    if (header.type !== "dir-snapshot") {
+        problems.push({
+            code: "invalid-header",
+            message: `Not a directory snapshot: type is ${JSON.stringify(header.type)}.`,
+            field: "type",
+        });
+    }
+    if (!isIsoDateString(header.createdAt)) {
+        problems.push({
+            code: "invalid-timestamp",
+            message: `Field "createdAt" is not an ISO 8601 timestamp: ${JSON.stringify(header.createdAt)}`,
+            field: "createdAt",
+        });
+    }
+    if (strict) {
+        problems.push(...checkTypes(header, HEADER_FIELDS).filter((problem) => problem.field !== "createdAt"));
+    }
+    return problems;
+}
+
+/**
+ * Checks an entry: the fields required for its type, or for a record of an entry that could not be read.
+ * Every entry has a "path", a "type", a "ctime", an "mtime" and a "depth". A file also has a "size" and, unless
+ * the snapshot was created with the "none" algorithm, a "hash" ("sha256" before version 1.1). A symlink has a
+ * "target" and a "dangling" flag. An entry with an "error" only needs its path, type, depth and error.
+ *
+ * @param {any} entry - The parsed entry.
+ * @param {any} header - The parsed header, null if it could not be parsed.
+ * @param {boolean} strict - Whether to check the types of the fields.
+ * @returns {Problem[]} The problems found.
+ */
+function checkEntry(entry, header, strict) {
+    /** @type {Problem[]} */
+    const problems = [];
+
+    if (entry.error !== undefined) {
+        problems.push(...checkErrorEntry(entry));
+    } else if (!ENTRY_TYPES.includes(entry.type)) {
+        problems.push(...checkRequired(entry, ["path", "type"], "Entry"));
+        if (entry.type !== undefined) {
+            problems.push({ code: "unknown-type", message: `Unknown entry type: ${JSON.stringify(entry.type)}`, field: "type" });
+        }
+    } else {
+        problems.push(...checkRequired(entry, ["path", "type", "ctime", "mtime", "depth"], "Entry"));
+        if (entry.type === "file") problems.push(...checkFileEntry(entry, header));
+        if (entry.type === "symlink") problems.push(...checkRequired(entry, ["target", "dangling"], "Symlink entry"));
+    }
+
+    if (strict) problems.push(...checkTypes(entry, ENTRY_FIELDS));
+    return problems;
+}
+
+/**
+ * Checks the fields a file entry has besides those of every entry: its size and its hash.
  *
- * @param {string} line - The line to be checked, expected to be a JSON string.
- * @returns {boolean} True if the line is a valid header, otherwise false.
- */
-function isHeader(line) {
-    let header = JSON.parse(line);
-    return (
-        header.type === "dir-snapshot" &&
-        isIsoDateString(header.createdAt) &&
-        hasProperties(header, [
-            "version",
-            "type",
-            "createdAt",
-            "machineId",
-            "rootPath",
-        ])
-    );
-}
-
-/**
- * Determines if a given line is a valid file entry for a directory snapshot.
- * The file entry is considered valid if it is a JSON object with the correct type and contains
- * all required properties: "path", "type", "size", "ctime", "mtime", "sha256", and "depth".
+ * @param {any} entry - The parsed file entry.
+ * @param {any} header - The parsed header, null if it could not be parsed.
+ * @returns {Problem[]} The problems found.
+ */
+function checkFileEntry(entry, header) {
+    const problems = checkRequired(entry, ["size"], "File entry");
+    if (header?.hashAlgorithm !== "none" && entry.hash === undefined && entry.sha256 === undefined) {
+        problems.push({ code: "missing-field", message: 'File entry has no "hash" field.', field: "hash" });
+    }
+    return problems;
+}
+
+/**
+ * Checks a record of an entry that could not be read, and reports it as a warning.
+ * Only its path, type, depth and error are required, as the other fields may not have been read.
  *
- * @param {string} line - The line to be checked, expected to be a JSON string.
- * @returns {boolean} True if the line is a valid file entry, otherwise false.
- */
-function isFileEntry(line) {
-    let entry = JSON.parse(line);
-    return hasProperties(entry, [
-        "path",
-        "type",
-        "size",
-        "ctime",
-        "mtime",
-        "sha256",
-        "depth",
-    ]);
-}
-
-/**
- * Determines if a given line is a valid directory entry for a directory snapshot.
- * The directory entry is considered valid if it is a JSON object with the correct type and contains
- * all required properties: "path", "type", "size", "ctime", "mtime", and "depth".
+ * @param {any} entry - The parsed entry, with an "error" property.
+ * @returns {Problem[]} The problems found, and the "unreadable-entry" warning.
+ */
+function checkErrorEntry(entry) {
+    const problems = checkRequired(entry, ["path", "type", "depth"], "Error entry");
+
+    if (entry.type !== undefined && !ENTRY_TYPES.includes(entry.type) && entry.type !== "unknown") {
+        problems.push({ code: "unknown-type", message: `Unknown entry type: ${JSON.stringify(entry.type)}`, field: "type" });
+    }
+    if (typeof entry.error?.code !== "string" || typeof entry.error.message !== "string") {
+        problems.push({ code: "invalid-error", message: 'Field "error" should have a "code" and a "message".', field: "error" });
+    } else {
+        problems.push({
+            severity: "warning",
+            code: "unreadable-entry",
+            message: `Entry could not be read: ${entry.error.message}`,
+            field: "error",
+        });
+    }
+    return problems;
+}
+
+/**
+ * Checks, in strict mode, that the path of an entry lies inside the root directory, was not listed before, and
+ * that its depth matches: 0 for the entries right in the root directory.
  *
- * @param {string} line - The line to be checked, expected to be a JSON string.
- * @returns {boolean} True if the line is a valid directory entry, otherwise false.
+ * @param {any} entry - The parsed entry.
+ * @param {any} header - The parsed header.
+ * @param {number} line - The number of the line of the entry.
+ * @param {Map<string, number>} paths - The line of each path listed so far, which receives this one.
+ * @returns {Problem[]} The problems found.
  */
-function isDirectoryEntry(line) {
-    let entry = JSON.parse(line);
-    return hasProperties(entry, [
-        "path",
-        "type",
-        "ctime",
-        "mtime",
-        "depth",
-    ]);
+function checkPath(entry, header, line, paths) {
+    if (typeof entry.path !== "string" || typeof header.rootPath !== "string") return [];
+
+    /** @type {Problem[]} */
+    const problems = [];
+    const relativePath = getRelativePath(entry.path, header);
+
+    const segments = relativePath.split("/");
+    if (
+        relativePath === "" ||
+        posix.isAbsolute(relativePath) ||
+        /^[a-zA-Z]:/.test(relativePath) ||
+        segments.includes("..")
+    ) {
+        problems.push({
+            code: "outside-root",
+            message: `Path is not inside the root directory ${header.rootPath}: ${entry.path}`,
+            field: "path",
+        });
+        return problems;
+    }
+
+    const first = paths.get(relativePath);
+    if (first !== undefined) {
+        problems.push({ code: "duplicate-path", message: `Path is already listed on line ${first}: ${entry.path}`, field: "path" });
+    } else {
+        paths.set(relativePath, line);
+    }
+
+    if (Number.isInteger(entry.depth) && entry.depth !== segments.length - 1) {
+        problems.push({
+            code: "depth-mismatch",
+            message: `Depth ${entry.depth} does not match the path, which is at depth ${segments.length - 1}: ${entry.path}`,
+            field: "depth",
+        });
+    }
+    return problems;
 }
 
 /**
- * Determines if a given line is a valid footer for a directory snapshot.
- * The footer is considered valid if it is a JSON object with a "status" property.
+ * Determines if a parsed line is the footer of a directory snapshot: an object with a "status" property.
  *
- * @param {string} line - The line to be checked, expected to be a JSON string.
- * @returns {boolean} True if the line is a valid footer, otherwise false.
+ * @param {any} data - The parsed line.
+ * @returns {boolean} True if the line is a footer, otherwise false.
  */
-function isFooter(line) {
-    let footer = JSON.parse(line);
-    return hasProperties(footer, ["status"]);
+function isFooter(data) {
+    return hasProperties(data, ["status"]);
 }
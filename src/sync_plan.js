@@ -0,0 +1,547 @@
+// @ts-check
+
+import {
+    appendFile,
+    copyFile,
+    chmod,
+    lstat,
+    lutimes,
+    mkdir,
+    readFile,
+    readlink,
+    rename,
+    rm,
+    rmdir,
+    symlink,
+    unlink,
+    utimes,
+} from "node:fs/promises";
+import { dirname, isAbsolute, join, relative, resolve, sep } from "node:path";
+import { FileEntry } from "./fileentry.js";
+import { Report } from "./report.js";
+import { getEntryType } from "./directory_walker.js";
+import { comparePaths } from "./snapshot_sorter.js";
+
+/**
+ * The state of an entry, as checked before a step and set by it.
+ * @typedef {Object} EntryState
+ * @property {import("./fileentry.js").EntryType} type - The type of the entry
+ * @property {number} [size] - The size of a file
+ * @property {string} [mtime] - The modification time, in ISO format
+ * @property {string} [target] - The target of a symlink
+ * @property {number} [mode] - The permission bits, if the snapshot captured them
+ */
+
+/**
+ * A single step of a sync plan. Paths are relative to the root of the tree being synced.
+ * @typedef {Object} SyncOperation
+ * @property {"mkdir"|"copy"|"move"|"delete"|"touch"} op - What the step does:
+ * `mkdir` creates a directory, `copy` writes a file or symlink, `move` renames an entry,
+ * `delete` removes a file, symlink or empty directory, `touch` sets the modification time, and the permissions
+ * if the snapshot captured them.
+ * @property {string} path - The entry created, moved to, deleted or touched
+ * @property {string} [from] - The entry moved, or copied from within the tree being synced
+ * @property {EntryState} [expected] - The state the entry read or replaced by the step must have before it:
+ * `from` for a move or a copy from within the tree, `path` otherwise. None if `path` must not exist yet
+ * @property {EntryState} [entry] - The state of the entry after the step
+ */
+
+/**
+ * An ordered list of operations turning a tree from the old state of a report into its new state.
+ * @typedef {Object} SyncPlan
+ * @property {SyncOperation[]} operations - The steps, in the order they must be applied
+ * @property {FileEntry[]} skipped - The added entries that cannot be copied: fifos, sockets and devices
+ */
+
+/**
+ * Builds the plan that turns a copy of the tree in the old state of a report into its new state.
+ *
+ * The steps are ordered so each one finds the tree as it expects it:
+ * 1. deleted files and symlinks are deleted,
+ * 2. added directories are created and moved directories moved, parents first,
+ * 3. moved files are moved,
+ * 4. deleted directories, empty by then, are deleted, children first,
+ * 5. added, changed and retargeted files and symlinks are copied from the source tree, and copies from
+ *    within the tree,
+ * 6. the mtimes of changed files, then of directories, children first, are set, along with their permissions
+ *    if the snapshots captured them. Ownership is not synced.
+ * Paths inside a moved directory are given as they are at the time of the step.
+ *
+ * @param {Report} report - The differences between the two states, e.g. from `compareSnapshots`.
+ * @returns {SyncPlan} The plan.
+ */
+export function createSyncPlan(report) {
+    /** @type {SyncOperation[]} */
+    const operations = [];
+    /** @type {FileEntry[]} */
+    const skipped = [];
+
+    /** @type {Array<[string, string]>} */
+    const directoryMoves = [];
+    /** @param {string} path */
+    const current = (path) => {
+        for (const [from, to] of directoryMoves) {
+            if (path === from || path.startsWith(`${from}/`)) path = to + path.slice(from.length);
+        }
+        return path;
+    };
+
+    // 1. deleted files and symlinks, before anything moves
+    for (const entry of sortByPath(report.deleted.filter((entry) => entry.type !== "directory"))) {
+        operations.push({ op: "delete", path: entry.relativePath, expected: stateOf(entry) });
+    }
+
+    // 2. added and moved directories, parents first
+    const directories = [
+        ...report.added
+            .filter((entry) => entry.type === "directory")
+            .map((entry) => ({ dst: entry, src: null })),
+        ...(report.movedDirectories ?? []).map(({ src, dst }) => ({ dst, src })),
+    ].sort((a, b) => comparePaths(a.dst.relativePath, b.dst.relativePath));
+
+    for (const { src, dst } of directories) {
+        if (!src) {
+            operations.push({ op: "mkdir", path: dst.relativePath, entry: stateOf(dst) });
+            continue;
+        }
+        const from = current(src.relativePath);
+        operations.push({ op: "move", from, path: dst.relativePath, expected: { type: "directory" } });
+        directoryMoves.push([from, dst.relativePath]);
+    }
+
+    // 3. moved files
+    /** @type {Map<string, string>} */
+    const movedTo = new Map();
+    for (const { src, dst } of sortMoves(report.moved)) {
+        operations.push({
+            op: "move",
+            from: current(src.relativePath),
+            path: dst.relativePath,
+            expected: stateOf(src),
+        });
+        movedTo.set(src.relativePath, dst.relativePath);
+    }
+
+    // 4. deleted directories, children first
+    const deletedDirectories = report.deleted.filter((entry) => entry.type === "directory");
+    for (const entry of sortByPath(deletedDirectories).reverse()) {
+        operations.push({
+            op: "delete",
+            path: current(entry.relativePath),
+            expected: { type: "directory" },
+        });
+    }
+
+    // 5. new content
+    /** @type {SyncOperation[]} */
+    const copies = [];
+    for (const entry of report.added) {
+        if (entry.type === "directory") continue;
+        if (entry.type !== "file" && entry.type !== "symlink") {
+            skipped.push(entry);
+            continue;
+        }
+        copies.push({ op: "copy", path: entry.relativePath, entry: stateOf(entry) });
+    }
+    for (const { oldValue, newValue } of [...report.contentChanged, ...report.retargeted]) {
+        copies.push({
+            op: "copy",
+            path: newValue.relativePath,
+            expected: stateOf(oldValue),
+            entry: stateOf(newValue),
+        });
+    }
+    for (const { src, dst } of report.copied ?? []) {
+        copies.push({
+            op: "copy",
+            from: movedTo.get(src.relativePath) ?? current(src.relativePath),
+            path: dst.relativePath,
+            expected: stateOf(src),
+            entry: stateOf(dst),
+        });
+    }
+    operations.push(...copies.sort((a, b) => comparePaths(a.path, b.path)));
+
+    // 6. mtimes, directories last as every other step may change them
+    /** @type {FileEntry[]} */
+    const touchedDirectories = [
+        ...report.added.filter((entry) => entry.type === "directory"),
+        ...(report.movedDirectories ?? []).map(({ dst }) => dst),
+    ];
+    const touchedChanges = [...report.metaDataChanged, ...report.permissionsChanged, ...report.ownershipChanged];
+    for (const { oldValue, newValue } of sortChanges(touchedChanges)) {
+        if (newValue.type === "directory") {
+            touchedDirectories.push(newValue);
+        } else {
+            operations.push({
+                op: "touch",
+                path: newValue.relativePath,
+                expected: stateOf(oldValue),
+                entry: stateOf(newValue),
+            });
+        }
+    }
+    for (const entry of sortByPath(touchedDirectories).reverse()) {
+        operations.push({
+            op: "touch",
+            path: entry.relativePath,
+            expected: { type: "directory" },
+            entry: stateOf(entry),
+        });
+    }
+
+    return { operations, skipped };
+}
+
+/**
+ * Applies a sync plan to a tree in the old state, copying the new content from a source tree in the new state.
+ *
+ * Before each step, the entries it touches are checked against the plan: the target entry must still be
+ * in the old state (same type, and same size and mtime for files, same target for symlinks), the entries to
+ * create must not exist, and the source entries must be in the new state. The first mismatch stops the sync
+ * with an error, leaving the steps already applied in place. Copies from within the tree are checked against
+ * the state of the file they copy.
+ *
+ * With `rollbackLog`, every applied step is appended to that file, as a JSON line with what undoes it, and
+ * the files deleted or overwritten are kept in the `<rollbackLog>.trash` directory, so `rollbackSyncPlan` can
+ * bring the tree back to its old state. Without it, deleted and overwritten files are lost.
+ *
+ * Every path of the plan must stay inside the tree: absolute paths, paths escaping it through `..` and paths under
+ * a symlink the plan creates are rejected before the first step is applied.
+ *
+ * With `dryRun`, the steps are checked but not applied. As the tree does not change, the entries an earlier step
+ * would have created, moved or deleted are not checked.
+ *
+ * @param {SyncPlan} plan - The plan, from `createSyncPlan`.
+ * @param {string} sourceDir - The tree in the new state.
+ * @param {string} targetDir - The tree in the old state, to update.
+ * @param {{dryRun?: boolean, rollbackLog?: string}} [options] - Sync options.
+ * @returns {Promise<{applied: SyncOperation[], dryRun: boolean}>} A promise that resolves with the steps applied,
+ * or that would be applied in a dry run.
+ * @throws {Error} If the tree does not match the plan, or a path of the plan is outside the tree.
+ */
+export async function applySyncPlan(plan, sourceDir, targetDir, options = {}) {
+    const { dryRun = false, rollbackLog } = options;
+    const trash = rollbackLog ? `${rollbackLog}.trash` : null;
+
+    checkPaths(plan.operations, targetDir);
+
+    /** @type {SyncOperation[]} */
+    const applied = [];
+    /** @type {string[]} */
+    const touched = [];
+    /** @param {string} path */
+    const isTouched = (path) =>
+        dryRun && touched.some((other) => path === other || path.startsWith(`${other}/`));
+
+    for (const [step, operation] of plan.operations.entries()) {
+        const path = join(targetDir, operation.path);
+
+        await checkOperation(operation, sourceDir, targetDir, isTouched);
+        if (dryRun) {
+            touched.push(operation.path);
+            if (operation.op === "move") touched.push(/** @type {string} */ (operation.from));
+            applied.push(operation);
+            continue;
+        }
+
+        /** @type {Object} */
+        let undo;
+        switch (operation.op) {
+            case "mkdir":
+                await mkdir(path);
+                undo = { rmdir: path };
+                break;
+            case "move": {
+                const from = join(targetDir, /** @type {string} */ (operation.from));
+                await rename(from, path);
+                undo = { rename: { from: path, to: from } };
+                break;
+            }
+            case "delete": {
+                if (operation.expected?.type === "directory") {
+                    const { mtime } = await lstat(path);
+                    await rmdir(path);
+                    undo = { mkdir: path, mtime: mtime.toISOString() };
+                } else if (trash) {
+                    const kept = join(trash, String(step));
+                    await mkdir(trash, { recursive: true });
+                    await rename(path, kept);
+                    undo = { rename: { from: kept, to: path } };
+                } else {
+                    await unlink(path);
+                }
+                break;
+            }
+            case "copy": {
+                /** @type {string|undefined} */
+                let kept;
+                if (operation.expected && !operation.from) {
+                    if (trash) {
+                        kept = join(trash, String(step));
+                        await mkdir(trash, { recursive: true });
+                        await rename(path, kept);
+                    } else {
+                        await unlink(path);
+                    }
+                }
+                const source = operation.from
+                    ? join(targetDir, operation.from)
+                    : join(sourceDir, operation.path);
+                await copyEntry(source, path, /** @type {EntryState} */ (operation.entry));
+                undo = { remove: path, rename: kept ? { from: kept, to: path } : undefined };
+                break;
+            }
+            case "touch": {
+                const { mtime, mode } = await lstat(path);
+                const entry = /** @type {EntryState} */ (operation.entry);
+                await setMode(path, entry);
+                await setMtime(path, entry);
+                undo = { touch: path, mtime: mtime.toISOString(), type: operation.expected?.type, mode: mode & 0o7777 };
+                break;
+            }
+        }
+
+        if (rollbackLog) {
+            const record = { step, op: operation.op, path: operation.path, undo };
+            await appendFile(rollbackLog, `${JSON.stringify(record)}\n`);
+        }
+        applied.push(operation);
+    }
+
+    return { applied, dryRun };
+}
+
+/**
+ * Undoes the steps recorded in a rollback log by `applySyncPlan`, last step first.
+ * The mtimes of the directories whose contents changed are not restored.
+ * @param {string} rollbackLog - The rollback log.
+ * @returns {Promise<number>} A promise that resolves with the number of steps undone.
+ */
+export async function rollbackSyncPlan(rollbackLog) {
+    const lines = (await readFile(rollbackLog, "utf-8")).split("\n").filter(Boolean);
+
+    for (const line of lines.reverse()) {
+        const { undo } = JSON.parse(line);
+        if (!undo) continue;
+
+        if (undo.rmdir) await rmdir(undo.rmdir);
+        if (undo.remove) await rm(undo.remove, { force: true });
+        if (undo.rename) await rename(undo.rename.from, undo.rename.to);
+        if (undo.mkdir) {
+            await mkdir(undo.mkdir);
+            await setMtime(undo.mkdir, { type: "directory", mtime: undo.mtime });
+        }
+        if (undo.touch) {
+            await setMode(undo.touch, { type: undo.type, mode: undo.mode });
+            await setMtime(undo.touch, { type: undo.type, mtime: undo.mtime });
+        }
+    }
+
+    return lines.length;
+}
+
+/**
+ * Checks that every path of a plan stays inside the tree it is applied to, so no step reads or writes outside
+ * the source or target directory.
+ * @param {SyncOperation[]} operations - The steps of the plan.
+ * @param {string} targetDir - The tree being synced.
+ * @throws {Error} If a path is absolute, leaves the tree through `..`, is the root itself, or is under a symlink
+ * created by the plan.
+ */
+function checkPaths(operations, targetDir) {
+    const root = resolve(targetDir);
+    /** @type {Set<string>} */
+    const symlinks = new Set();
+    /** @type {string[]} */
+    const targets = [];
+
+    for (const operation of operations) {
+        for (const path of operation.from === undefined ? [operation.path] : [operation.path, operation.from]) {
+            const target = resolve(root, path);
+            const rel = relative(root, target);
+            if (isAbsolute(path) || rel === "" || rel === ".." || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+                throw new Error(`Sync path is outside the target directory: ${path}`);
+            }
+            targets.push(target);
+        }
+        if (operation.op === "copy" && operation.entry?.type === "symlink") {
+            symlinks.add(resolve(root, operation.path));
+        }
+    }
+
+    for (const target of targets) {
+        for (let parent = resolve(target, ".."); parent !== root; parent = resolve(parent, "..")) {
+            if (symlinks.has(parent)) {
+                const link = relative(root, parent);
+                throw new Error(`Sync path is under the symbolic link ${link}: ${relative(root, target)}`);
+            }
+        }
+    }
+}
+
+/**
+ * Checks that the entries a step touches are in the state the plan expects.
+ * @param {SyncOperation} operation - The step.
+ * @param {string} sourceDir - The tree in the new state.
+ * @param {string} targetDir - The tree being synced.
+ * @param {(path: string) => boolean} isTouched - Whether an entry of the tree was changed by an earlier step
+ * of a dry run, and cannot be checked.
+ * @throws {Error} If an entry is not in the expected state.
+ */
+async function checkOperation(operation, sourceDir, targetDir, isTouched) {
+    /**
+     * @param {string} path
+     * @param {EntryState|undefined} expected
+     */
+    const check = async (path, expected) => {
+        if (!isTouched(path)) await expectState(join(targetDir, path), expected, path);
+    };
+
+    switch (operation.op) {
+        case "mkdir":
+            await check(operation.path, undefined);
+            break;
+        case "move":
+            await check(/** @type {string} */ (operation.from), operation.expected);
+            await check(operation.path, undefined);
+            break;
+        case "delete":
+        case "touch":
+            await check(operation.path, operation.expected);
+            break;
+        case "copy":
+            if (operation.from) {
+                await check(operation.from, operation.expected);
+                await check(operation.path, undefined);
+            } else {
+                await check(operation.path, operation.expected);
+                await expectState(join(sourceDir, operation.path), operation.entry, `source ${operation.path}`);
+            }
+            break;
+    }
+}
+
+/**
+ * Checks the state of an entry.
+ * @param {string} path - The absolute path of the entry.
+ * @param {EntryState|undefined} expected - The expected state, undefined if the entry must not exist.
+ * @param {string|undefined} label - The path shown in the error message.
+ * @throws {Error} If the entry is not in the expected state.
+ */
+async function expectState(path, expected, label) {
+    let stats;
+    try {
+        stats = await lstat(path);
+    } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+    }
+
+    if (!expected) {
+        if (stats) throw new Error(`Sync conflict at ${label}: expected no entry, found one`);
+        return;
+    }
+    if (!stats) {
+        throw new Error(`Sync conflict at ${label}: expected a ${expected.type}, found nothing`);
+    }
+
+    const type = getEntryType(stats);
+    if (type !== expected.type) {
+        throw new Error(`Sync conflict at ${label}: expected a ${expected.type}, found a ${type}`);
+    }
+    if (type === "file") {
+        if (stats.size !== expected.size || stats.mtime.toISOString() !== expected.mtime) {
+            throw new Error(`Sync conflict at ${label}: the file changed since the snapshot`);
+        }
+    }
+    if (type === "symlink" && (await readlink(path)).replace(/\\/g, "/") !== expected.target) {
+        throw new Error(`Sync conflict at ${label}: the link target changed since the snapshot`);
+    }
+}
+
+/**
+ * Copies a file or a symlink, and sets its mtime.
+ * @param {string} source - The entry to copy.
+ * @param {string} path - The copy to create.
+ * @param {EntryState} entry - The state of the copy.
+ */
+async function copyEntry(source, path, entry) {
+    await mkdir(dirname(path), { recursive: true });
+    if (entry.type === "symlink") {
+        await symlink(/** @type {string} */ (entry.target), path);
+    } else {
+        await copyFile(source, path);
+    }
+    await setMode(path, entry);
+    await setMtime(path, entry);
+}
+
+/**
+ * Sets the permission bits of an entry, if known. The permissions of symlinks are left as they are.
+ * @param {string} path - The entry.
+ * @param {{type?: string, mode?: number}} entry - The type and permission bits of the entry.
+ */
+async function setMode(path, entry) {
+    if (entry.mode === undefined || entry.type === "symlink") return;
+    await chmod(path, entry.mode);
+}
+
+/**
+ * Sets the modification time of an entry, and its access time to the same value.
+ * Failures on symlinks are ignored, some file systems do not support setting their times.
+ * @param {string} path - The entry.
+ * @param {{type?: string, mtime?: string}} entry - The type and mtime of the entry.
+ */
+async function setMtime(path, entry) {
+    const mtime = new Date(/** @type {string} */ (entry.mtime));
+    if (entry.type !== "symlink") {
+        await utimes(path, mtime, mtime);
+        return;
+    }
+    try {
+        await lutimes(path, mtime, mtime);
+    } catch {
+        // the times of links are set where possible
+    }
+}
+
+/**
+ * Returns the state of an entry checked and set by the plan.
+ * @param {FileEntry} entry - The entry of a snapshot.
+ * @returns {EntryState} The state.
+ */
+function stateOf(entry) {
+    /** @type {EntryState} */
+    const state = { type: entry.type, mtime: entry.mtime };
+    if (entry.type === "file") state.size = entry.size;
+    if (entry.type === "symlink") state.target = entry.target;
+    if (entry.mode !== undefined) state.mode = entry.mode;
+    return state;
+}
+
+/**
+ * Sorts entries by relative path, parents first.
+ * @param {FileEntry[]} entries - The entries.
+ * @returns {FileEntry[]} A sorted copy.
+ */
+function sortByPath(entries) {
+    return [...entries].sort((a, b) => comparePaths(a.relativePath, b.relativePath));
+}
+
+/**
+ * Sorts moves by destination path.
+ * @param {{src: FileEntry, dst: FileEntry}[]} moves - The moves.
+ * @returns {{src: FileEntry, dst: FileEntry}[]} A sorted copy.
+ */
+function sortMoves(moves) {
+    return [...moves].sort((a, b) => comparePaths(a.dst.relativePath, b.dst.relativePath));
+}
+
+/**
+ * Sorts changes by path.
+ * @param {{oldValue: FileEntry, newValue: FileEntry}[]} changes - The changes.
+ * @returns {{oldValue: FileEntry, newValue: FileEntry}[]} A sorted copy.
+ */
+function sortChanges(changes) {
+    return [...changes].sort((a, b) => comparePaths(a.newValue.relativePath, b.newValue.relativePath));
+}
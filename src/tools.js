@@ -3,17 +3,20 @@
 import { createHash } from 'node:crypto';
 import { createReadStream } from 'node:fs';
 import { createInterface } from 'readline';
+import { COMPRESSION_EXTENSIONS, openSnapshotStream } from './compression.js';
 
 /**
- * Asynchronously computes the SHA-256 hash of a file.
+ * Asynchronously computes the hash of a file.
  *
  * @param {string} filePath - The path to the file for which the hash will be computed.
+ * @param {string} [algorithm="sha256"] - The `node:crypto` hash algorithm to use.
+ * @param {AbortSignal} [signal] - Stops reading the file when aborted, rejecting with an `AbortError`.
  * @returns {Promise<string>} A promise that resolves with the hexadecimal string of the file's hash.
  */
-export const calculateFileHash = async (filePath) => {
+export const calculateFileHash = async (filePath, algorithm = 'sha256', signal = undefined) => {
   return new Promise((resolve, reject) => {
-    const hash = createHash('sha256');
-    const stream = createReadStream(filePath);
+    const hash = createHash(algorithm);
+    const stream = createReadStream(filePath, { signal });
 
     stream.on('data', (chunk) => hash.update(chunk));
     stream.on('end', () => resolve(hash.digest('hex')));
@@ -28,6 +31,7 @@ export const calculateFileHash = async (filePath) => {
  * 
  * @param {string} [prefix="snapshot"] - The prefix to be used in the filename
  * @param {string} [extension="ndjson"] - The file extension to be used
+ * @param {import('./compression.js').Compression} [compression="none"] - The compression of the file, whose extension (".gz" or ".br") is appended
  * @returns {string} The generated filename with timestamp
  * @example
  * // returns "snapshot.2023-05-15.14-30-45.ndjson"
@@ -35,8 +39,11 @@ export const calculateFileHash = async (filePath) => {
  * @example
  * // returns "backup.2023-05-15.14-30-45.json"
  * generateSnapshotName("backup", "json");
+ * @example
+ * // returns "snapshot.2023-05-15.14-30-45.ndjson.gz"
+ * generateSnapshotName("snapshot", "ndjson", "gzip");
  */
-export function generateSnapshotName(prefix = "snapshot", extension = "ndjson") {
+export function generateSnapshotName(prefix = "snapshot", extension = "ndjson", compression = "none") {
   const date = new Date();
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
@@ -44,12 +51,14 @@ export function generateSnapshotName(prefix = "snapshot", extension = "ndjson")
   const hours = String(date.getHours()).padStart(2, '0');
   const minutes = String(date.getMinutes()).padStart(2, '0');
   const seconds = String(date.getSeconds()).padStart(2, '0');
-  return `${prefix}.${year}-${month}-${day}.${hours}-${minutes}-${seconds}.${extension}`
+  const suffix = COMPRESSION_EXTENSIONS[compression] ?? '';
+  return `${prefix}.${year}-${month}-${day}.${hours}-${minutes}-${seconds}.${extension}${suffix}`
 }
 
 /**
  * Reads a file line by line asynchronously, invoking callbacks for each line read, 
  * when reading is completed, and when an error occurs.
+ * Gzip and brotli compressed files are decompressed on the fly, see `detectCompression`.
  *
  * @param {string} filePath - The path to the file to be read.
  * @param {(line:string, rl:import('readline').Interface)=>void} callback - Function to be called with each line read from the file.
@@ -57,7 +66,14 @@ export function generateSnapshotName(prefix = "snapshot", extension = "ndjson")
  * @param {function} [onError] - Optional function to be called if an error occurs while reading the file.
  */
 export function readFileLineByLine(filePath, callback, onEnd, onError) {
-    const fileStream = createReadStream(filePath, { encoding: 'utf-8' });
+    /** @type {import('node:stream').Readable} */
+    let fileStream;
+    try {
+        fileStream = openSnapshotStream(filePath);
+    } catch (err) {
+        if (onError) onError(err);
+        return;
+    }
     const rl = createInterface({
         input: fileStream,
         crlfDelay: Infinity
@@ -94,4 +110,35 @@ export function hasProperties(obj, properties) {
  */
 export function isIsoDateString(dateString) {
   return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(dateString);
-}
\ No newline at end of file
+}
+
+/**
+ * Creates a function that runs asynchronous tasks with at most `concurrency` of them at the same time.
+ * Tasks are started in the order they were submitted.
+ *
+ * @param {number} concurrency - The maximum number of tasks running at the same time
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>} A function that schedules a task and resolves with its result
+ */
+export function createLimiter(concurrency) {
+  /** @type {Array<{task: () => Promise<any>, resolve: (value: any) => void, reject: (reason: any) => void}>} */
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    const { task, resolve, reject } = /** @type {typeof queue[number]} */ (queue.shift());
+    active++;
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
@@ -0,0 +1,120 @@
+// @ts-check
+
+import { createHash } from "node:crypto";
+import { FileEntry } from "./fileentry.js";
+
+/**
+ * A directory whose children are being hashed.
+ * @typedef {Object} DirectoryFrame
+ * @property {string} relativePath - The path of the directory relative to the root directory, "" for the root
+ * @property {import("node:crypto").Hash} hash - The hash of the children seen so far
+ */
+
+/**
+ * Computes Merkle-style hashes of directories from the entries of a walk, in the order `walkDirectory` hands
+ * them over: the entries of a directory sorted by name, each directory followed by its contents.
+ *
+ * The hash of a directory covers, for each of its children, its name, its type and its content: the hash of a
+ * file, the hash of a directory, the target of a symlink, nothing for the other types. Two directories have the
+ * same hash if and only if their subtrees hold the same names, types and contents, whatever their metadata.
+ *
+ * An entry that could not be read, with an `error` field, stands for its error code instead of its content. It
+ * gets no hash of its own, nor do the contents of a directory that could not be listed, but its parents do.
+ */
+export class TreeHasher {
+    /** @type {string} */
+    #algorithm;
+    /** @type {(relativePath: string, hash: string) => void} */
+    #onDirectory;
+    /** @type {DirectoryFrame[]} */
+    #stack;
+
+    /**
+     * @param {string} algorithm - The `node:crypto` algorithm the files were hashed with.
+     * @param {(relativePath: string, hash: string) => void} onDirectory - Receives the hash
+     * of each directory once all its contents have been added, deepest directories first.
+     */
+    constructor(algorithm, onDirectory) {
+        this.#algorithm = algorithm;
+        this.#onDirectory = onDirectory;
+        this.#stack = [{ relativePath: "", hash: createHash(algorithm) }];
+    }
+
+    /**
+     * The length of the hexadecimal hashes of the algorithm.
+     * @param {string} algorithm - The `node:crypto` algorithm.
+     * @returns {number} The number of characters of a hash.
+     */
+    static hashLength(algorithm) {
+        return createHash(algorithm).digest("hex").length;
+    }
+
+    /**
+     * Adds the next entry of the walk.
+     * @param {FileEntry} record - The entry, with its hash or target set.
+     * @param {string} relativePath - The path of the entry relative to the root directory.
+     */
+    add(record, relativePath) {
+        const slash = relativePath.lastIndexOf("/");
+        const parent = slash === -1 ? "" : relativePath.slice(0, slash);
+
+        // the directories the walk left are complete
+        while (this.#stack[this.#stack.length - 1].relativePath !== parent) {
+            if (this.#stack.length === 1) {
+                throw new Error(`Entry is not in walk order: ${relativePath}`);
+            }
+            this.#close();
+        }
+
+        if (record.type === "directory" && !record.error) {
+            this.#stack.push({ relativePath, hash: createHash(this.#algorithm) });
+        } else {
+            this.#update(relativePath, record.type, contentOf(record));
+        }
+    }
+
+    /**
+     * Completes the directories still open and returns the hash of the root directory.
+     * @returns {string} The hash of the root directory.
+     */
+    finish() {
+        while (this.#stack.length > 1) this.#close();
+        return this.#stack[0].hash.digest("hex");
+    }
+
+    /**
+     * Completes the innermost open directory and adds it to its parent.
+     */
+    #close() {
+        const frame = /** @type {DirectoryFrame} */ (this.#stack.pop());
+        const hash = frame.hash.digest("hex");
+        this.#onDirectory(frame.relativePath, hash);
+        this.#update(frame.relativePath, "directory", hash);
+    }
+
+    /**
+     * Adds a child to the hash of the innermost open directory.
+     * @param {string} relativePath - The path of the child.
+     * @param {string} type - The type of the child.
+     * @param {string} content - The content of the child.
+     */
+    #update(relativePath, type, content) {
+        const name = relativePath.slice(relativePath.lastIndexOf("/") + 1);
+        // file names and link targets cannot contain NUL, which separates the fields
+        this.#stack[this.#stack.length - 1].hash.update(`${name}\0${type}\0${content}\0`);
+    }
+}
+
+/**
+ * Returns what stands for the content of a non-directory entry, or of a directory that could not be listed,
+ * in the hash of its directory.
+ * @param {FileEntry} record - The entry.
+ * @returns {string} The hash of a file, the target of a symlink, the error code of an entry that could not be
+ * read, "" for the other types.
+ */
+function contentOf(record) {
+    if (record.error) return `error:${record.error.code}`;
+    if (record.type === "file") return record.hash ?? "";
+    if (record.type === "symlink") return record.target ?? "";
+    return "";
+}